@@ -0,0 +1,385 @@
+/**
+ * Analytics Module
+ * Sales analytics built from the stored order records: revenue over time,
+ * best-selling products, average ticket size and peak hours
+ * Charts are drawn on canvas with no external libraries
+ */
+
+const Analytics = (function() {
+    'use strict';
+
+    const GRANULARITIES = ['hour', 'day', 'week'];
+    const BEST_SELLERS_LIMIT = 8;
+    const DEFAULT_RANGE_DAYS = 7;
+
+    // Chart layout (CSS pixels)
+    const CHART_PADDING = { top: 16, right: 12, bottom: 28, left: 56 };
+    const MIN_LABEL_SPACING = 48;
+
+    // DOM Elements
+    const modalElement = document.getElementById('analyticsModal');
+    const fromInput = document.getElementById('analyticsFrom');
+    const toInput = document.getElementById('analyticsTo');
+    const granularitySelect = document.getElementById('analyticsGranularity');
+    const kpiElement = document.getElementById('analyticsKpis');
+    const revenueCanvas = document.getElementById('revenueChart');
+    const bestSellersCanvas = document.getElementById('bestSellersChart');
+    const peakHoursCanvas = document.getElementById('peakHoursChart');
+
+    /**
+     * Initialize analytics module
+     */
+    function init() {
+        document.getElementById('openAnalyticsBtn').addEventListener('click', open);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        [fromInput, toInput, granularitySelect].forEach(input => {
+            input.addEventListener('change', render);
+        });
+        window.addEventListener('resize', () => {
+            if (modalElement.classList.contains('visible')) {
+                render();
+            }
+        });
+
+        console.log('[Analytics] Module initialized');
+    }
+
+    // ============================================================================
+    // AGGREGATION
+    // ============================================================================
+
+    /**
+     * Get the start of the hour/day/week containing a date (local time, weeks start Monday)
+     * @param {Date} date - Date
+     * @param {string} granularity - 'hour', 'day' or 'week'
+     * @returns {Date} Bucket start
+     */
+    function bucketStart(date, granularity) {
+        const start = new Date(date);
+        start.setMinutes(0, 0, 0);
+        if (granularity !== 'hour') {
+            start.setHours(0);
+        }
+        if (granularity === 'week') {
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        }
+        return start;
+    }
+
+    /**
+     * Step a bucket start to the next bucket
+     * @param {Date} start - Bucket start
+     * @param {string} granularity - 'hour', 'day' or 'week'
+     * @returns {Date} Next bucket start
+     */
+    function nextBucket(start, granularity) {
+        const next = new Date(start);
+        if (granularity === 'hour') {
+            next.setHours(next.getHours() + 1);
+        } else {
+            next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+        }
+        return next;
+    }
+
+    /**
+     * Label a bucket for the chart axis
+     * @param {Date} start - Bucket start
+     * @param {string} granularity - 'hour', 'day' or 'week'
+     * @returns {string} Label
+     */
+    function bucketLabel(start, granularity) {
+        const day = `${String(start.getDate()).padStart(2, '0')}/${String(start.getMonth() + 1).padStart(2, '0')}`;
+        if (granularity === 'hour') {
+            return `${day} ${String(start.getHours()).padStart(2, '0')}h`;
+        }
+        return granularity === 'week' ? `Wk ${day}` : day;
+    }
+
+    /**
+     * Aggregate orders into analytics
+     * Revenue buckets run continuously from the first to the last order so empty periods show as gaps
+     * @param {Array} orders - Order records
+     * @param {string} granularity - 'hour', 'day' or 'week'
+     * @returns {Object} { ordersCount, revenue, itemsCount, averageTicket, revenueSeries, bestSellers, ordersByHour, peakHour }
+     */
+    function computeAnalytics(orders, granularity = 'day') {
+        const revenueByBucket = new Map();
+        const products = {};
+        const ordersByHour = new Array(24).fill(0);
+        let revenue = 0;
+        let itemsCount = 0;
+
+        orders.forEach(order => {
+            const date = new Date(order.timestamp);
+            const key = bucketStart(date, granularity).getTime();
+            revenueByBucket.set(key, (revenueByBucket.get(key) || 0) + order.total);
+            ordersByHour[date.getHours()] += 1;
+            revenue += order.total;
+            itemsCount += order.itemsCount;
+
+            order.items.forEach(item => {
+                const entry = products[item.productId] || {
+                    productId: item.productId,
+                    nameEn: item.nameEn,
+                    nameAr: item.nameAr,
+                    quantity: 0,
+                    amount: 0
+                };
+                entry.quantity += item.quantity;
+                entry.amount += item.lineTotal;
+                products[item.productId] = entry;
+            });
+        });
+
+        const revenueSeries = [];
+        if (revenueByBucket.size > 0) {
+            const keys = [...revenueByBucket.keys()];
+            const last = Math.max(...keys);
+            for (let start = new Date(Math.min(...keys)); start.getTime() <= last; start = nextBucket(start, granularity)) {
+                revenueSeries.push({
+                    start: start.toISOString(),
+                    label: bucketLabel(start, granularity),
+                    value: revenueByBucket.get(start.getTime()) || 0
+                });
+            }
+        }
+
+        const peakCount = Math.max(...ordersByHour);
+
+        return {
+            ordersCount: orders.length,
+            revenue: revenue,
+            itemsCount: itemsCount,
+            averageTicket: orders.length > 0 ? revenue / orders.length : 0,
+            revenueSeries: revenueSeries,
+            bestSellers: Object.values(products)
+                .sort((a, b) => b.quantity - a.quantity || b.amount - a.amount)
+                .slice(0, BEST_SELLERS_LIMIT),
+            ordersByHour: ordersByHour,
+            peakHour: peakCount > 0 ? ordersByHour.indexOf(peakCount) : null
+        };
+    }
+
+    /**
+     * Load orders in a date range and aggregate them
+     * @param {Object} options - { from, to, granularity } with dates as 'YYYY-MM-DD'
+     * @returns {Promise<Object>} Analytics from computeAnalytics()
+     */
+    async function getAnalytics(options = {}) {
+        const granularity = GRANULARITIES.includes(options.granularity) ? options.granularity : 'day';
+        // Refunded orders are not sales
+        const orders = (await Orders.searchOrders({ from: options.from, to: options.to }))
+            .filter(order => !order.refund);
+        return computeAnalytics(orders, granularity);
+    }
+
+    // ============================================================================
+    // CHARTS
+    // ============================================================================
+
+    /**
+     * Read a theme color from the CSS variables
+     * @param {string} name - Variable name
+     * @returns {string} Color
+     */
+    function themeColor(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    }
+
+    /**
+     * Size a canvas for its displayed width and the device pixel ratio
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     * @returns {Object} { ctx, width, height } in CSS pixels
+     */
+    function prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 600;
+        const height = canvas.clientHeight || 220;
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+        return { ctx, width, height };
+    }
+
+    /**
+     * Draw a message in place of an empty chart
+     */
+    function drawEmpty(ctx, width, height) {
+        ctx.fillStyle = themeColor('--text-muted');
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No orders in this period', width / 2, height / 2);
+    }
+
+    /**
+     * Draw a vertical bar chart
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     * @param {Array} data - [{ label, value }]
+     * @param {Object} options - { color, highlightIndex, formatValue }
+     */
+    function drawColumnChart(canvas, data, options = {}) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const formatValue = options.formatValue || (value => value.toLocaleString());
+
+        if (data.length === 0 || data.every(point => point.value === 0)) {
+            drawEmpty(ctx, width, height);
+            return;
+        }
+
+        const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+        const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+        const maxValue = Math.max(...data.map(point => point.value));
+        const slot = plotWidth / data.length;
+        const barWidth = Math.max(1, slot * 0.7);
+
+        // Grid lines with value labels
+        ctx.strokeStyle = themeColor('--border-color');
+        ctx.fillStyle = themeColor('--text-secondary');
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const y = CHART_PADDING.top + plotHeight - (plotHeight * i) / 4;
+            ctx.beginPath();
+            ctx.moveTo(CHART_PADDING.left, y);
+            ctx.lineTo(width - CHART_PADDING.right, y);
+            ctx.stroke();
+            ctx.fillText(formatValue(Math.round((maxValue * i) / 4)), CHART_PADDING.left - 6, y);
+        }
+
+        // Bars, with axis labels thinned out so they never overlap
+        const labelEvery = Math.ceil(MIN_LABEL_SPACING / slot);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        data.forEach((point, index) => {
+            const barHeight = (point.value / maxValue) * plotHeight;
+            const x = CHART_PADDING.left + slot * index + (slot - barWidth) / 2;
+
+            ctx.fillStyle = index === options.highlightIndex
+                ? themeColor('--accent-warning')
+                : (options.color || themeColor('--accent-primary'));
+            ctx.fillRect(x, CHART_PADDING.top + plotHeight - barHeight, barWidth, barHeight);
+
+            if (index % labelEvery === 0) {
+                ctx.fillStyle = themeColor('--text-secondary');
+                ctx.fillText(point.label, x + barWidth / 2, CHART_PADDING.top + plotHeight + 6);
+            }
+        });
+    }
+
+    /**
+     * Draw a horizontal bar chart (one row per item)
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     * @param {Array} data - [{ label, value, detail }]
+     */
+    function drawBarChart(canvas, data) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+
+        if (data.length === 0) {
+            drawEmpty(ctx, width, height);
+            return;
+        }
+
+        const labelWidth = Math.min(140, width * 0.35);
+        const valueWidth = 90;
+        const plotWidth = width - labelWidth - valueWidth;
+        const rowHeight = Math.min(28, (height - 8) / data.length);
+        const maxValue = Math.max(...data.map(point => point.value));
+
+        ctx.textBaseline = 'middle';
+        data.forEach((point, index) => {
+            const y = 4 + rowHeight * index;
+            const barWidth = (point.value / maxValue) * plotWidth;
+
+            ctx.fillStyle = themeColor('--text-primary');
+            ctx.textAlign = 'left';
+            ctx.fillText(point.label, 0, y + rowHeight / 2, labelWidth - 8);
+
+            ctx.fillStyle = themeColor('--accent-success');
+            ctx.fillRect(labelWidth, y + rowHeight * 0.15, barWidth, rowHeight * 0.7);
+
+            ctx.fillStyle = themeColor('--text-secondary');
+            ctx.fillText(point.detail, labelWidth + barWidth + 6, y + rowHeight / 2);
+        });
+    }
+
+    // ============================================================================
+    // ANALYTICS PANEL
+    // ============================================================================
+
+    function open() {
+        if (!fromInput.value && !toInput.value) {
+            const from = new Date();
+            from.setDate(from.getDate() - (DEFAULT_RANGE_DAYS - 1));
+            fromInput.value = Orders.toLocalDate(from.toISOString());
+            toInput.value = Orders.toLocalDate(new Date().toISOString());
+        }
+
+        modalElement.classList.add('visible');
+        render();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Render KPIs and all charts for the selected range
+     */
+    async function render() {
+        let analytics;
+        try {
+            analytics = await getAnalytics({
+                from: fromInput.value,
+                to: toInput.value,
+                granularity: granularitySelect.value
+            });
+        } catch (error) {
+            console.error('[Analytics] Failed to read orders:', error);
+            kpiElement.innerHTML = `<p class="no-detection">Could not read orders: ${Utils.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        const peak = analytics.peakHour === null
+            ? '—'
+            : `${String(analytics.peakHour).padStart(2, '0')}:00–${String(analytics.peakHour + 1).padStart(2, '0')}:00`;
+
+        kpiElement.innerHTML = `
+            <div class="kpi"><span class="kpi-value">${analytics.revenue.toLocaleString()} DZD</span><span class="kpi-label">Revenue</span></div>
+            <div class="kpi"><span class="kpi-value">${analytics.ordersCount}</span><span class="kpi-label">Orders</span></div>
+            <div class="kpi"><span class="kpi-value">${Math.round(analytics.averageTicket).toLocaleString()} DZD</span><span class="kpi-label">Average Ticket</span></div>
+            <div class="kpi"><span class="kpi-value">${peak}</span><span class="kpi-label">Peak Hour</span></div>
+        `;
+
+        drawColumnChart(revenueCanvas, analytics.revenueSeries);
+        drawBarChart(bestSellersCanvas, analytics.bestSellers.map(entry => ({
+            label: entry.nameEn,
+            value: entry.quantity,
+            detail: `${entry.quantity} · ${entry.amount.toLocaleString()} DZD`
+        })));
+        drawColumnChart(peakHoursCanvas, analytics.ordersByHour.map((count, hour) => ({
+            label: `${hour}h`,
+            value: count
+        })), {
+            color: themeColor('--text-muted'),
+            highlightIndex: analytics.peakHour
+        });
+    }
+
+    // Public API
+    return {
+        init,
+        computeAnalytics,
+        getAnalytics,
+        open,
+        close
+    };
+})();
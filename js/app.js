@@ -9,6 +9,14 @@ const App = (function() {
 
     let continuousScanActive = false;
     let currentDetections = [];
+    // Hands-free mode adds one item per stable detection, then waits for an empty frame
+    let autoAddArmed = true;
+    // Candidates of the last uncertain single scan, offered to the cashier,
+    // and its frame (saved as a training sample if the cashier corrects the model)
+    let pendingCandidates = [];
+    let pendingFrame = null;
+    // Cart line ID → frame its latest unit was detected in, offered as a sample if the line is removed
+    const detectedFrames = new Map();
 
     /**
      * Initialize application on DOM ready
@@ -17,10 +25,26 @@ const App = (function() {
         console.log('[App] Initializing POS System with TensorFlow.js...');
         
         try {
+            Offline.init();
+            Users.init();
+            Settings.init();
+            Tax.init();
+            Catalog.init();
+            Pricing.init();
             Stats.init();
             Cart.init();
             Camera.init();
             Export.init();
+            Orders.init();
+            Analytics.init();
+            Receipt.init();
+            Checkout.init();
+            Shifts.init();
+            Samples.init();
+            ModelRegistry.init();
+            Trainer.init();
+            ProductGrid.init();
+            Voids.init();
             
             setupCameraEvents();
             setupScanEvent();
@@ -28,6 +52,13 @@ const App = (function() {
             setupCompleteOrderEvent();
             setupClearCartEvent();
             setupExportEvent();
+            setupHandsFreeToggle();
+            setupScanZone();
+            Detection.onFrame(renderProbabilities);
+            Cart.onItemRemoved(offerRemovedItemSample);
+            Catalog.onChange(checkCatalogMapping);
+            Users.onChange(handleUserChange);
+            ModelRegistry.setActivationHandler(switchModel);
             
             updateButtonStates();
             loadAIModel();
@@ -49,12 +80,21 @@ const App = (function() {
             modelStatusText.innerHTML = '<span class="loading-spinner"></span> Loading AI Model...';
             modelStatusText.className = 'model-loading';
             
-            await Detection.loadModel();
+            try {
+                await Detection.loadModel(await ModelRegistry.getActiveSource());
+            } catch (error) {
+                // A broken imported version must not leave the POS without a model
+                if (ModelRegistry.getActiveId() === 'bundled') {
+                    throw error;
+                }
+                console.error('[App] Active model version failed, falling back to bundled model:', error);
+                ModelRegistry.resetToBundled();
+                await Detection.loadModel(await ModelRegistry.getBundledSource());
+            }
             
             const status = Detection.getModelStatus();
             if (status.loaded) {
-                modelStatusText.innerHTML = '✅ AI Model Ready';
-                modelStatusText.className = 'model-ready';
+                showModelReady();
                 console.log('[App] AI Model loaded successfully');
             } else {
                 throw new Error('Model failed to load');
@@ -73,6 +113,74 @@ const App = (function() {
         }
     }
 
+    /**
+     * Show the loaded model version in the status panel
+     */
+    function showModelReady() {
+        const modelStatusText = document.getElementById('modelStatusText');
+        const status = Detection.getModelStatus();
+        
+        modelStatusText.innerHTML = `✅ AI Model Ready (${Utils.escapeHtml(status.version.name)})`;
+        modelStatusText.className = 'model-ready';
+        Catalog.setModelClassOptions(status.labels);
+        checkCatalogMapping();
+        updateButtonStates();
+    }
+
+    /**
+     * Swap the running model for another registry version
+     * Throws (leaving the current model active) if the new one fails to load
+     * @param {Object} source - Model source from ModelRegistry
+     * @returns {Promise<boolean>} True once the new model is running
+     */
+    async function switchModel(source) {
+        if (continuousScanActive) {
+            stopContinuousScan();
+        }
+        Camera.clearCanvas();
+        clearDetectedProductsDisplay();
+        
+        const loaded = await Detection.loadModel(source);
+        if (!loaded) {
+            return false;
+        }
+        renderProbabilities(null);
+        showModelReady();
+        console.log('[App] Switched model to', source.name);
+        return true;
+    }
+
+    /**
+     * Verify every catalog model class exists in the model's labels
+     * Shows the mismatches in the model status panel
+     */
+    function checkCatalogMapping() {
+        const warningElement = document.getElementById('modelWarning');
+        if (!Detection.isModelLoaded()) {
+            return;
+        }
+        
+        const result = Detection.validateCatalogMapping();
+        if (result.valid) {
+            warningElement.innerHTML = '';
+            warningElement.classList.remove('visible');
+            return;
+        }
+        
+        const labels = Detection.getLabels().map(label => `"${label}"`).join(', ');
+        warningElement.innerHTML = `
+            <strong>⚠️ Catalog does not match the model labels</strong>
+            <ul>
+                ${result.unmatched.map(entry => `
+                    <li>${Utils.escapeHtml(entry.product.nameEn)}: model class "${Utils.escapeHtml(entry.modelClass)}" is not a model label</li>
+                `).join('')}
+            </ul>
+            <span>Model labels: ${Utils.escapeHtml(labels)}. These products will never be detected until the catalog is fixed.</span>
+        `;
+        warningElement.classList.add('visible');
+        console.warn('[App] Catalog/model mismatch:', result.unmatched);
+    }
+
     /**
      * Setup camera start/stop events
      */
@@ -81,20 +189,62 @@ const App = (function() {
         const stopBtn = document.getElementById('stopCameraBtn');
         
         startBtn.addEventListener('click', async () => {
-            const result = await Camera.startCamera();
-            if (result.success) {
-                updateButtonStates();
-                if (continuousScanActive) {
-                    stopContinuousScan();
-                }
+            if (continuousScanActive) {
+                stopContinuousScan();
             }
+            await Camera.startCamera();
         });
         
         stopBtn.addEventListener('click', () => {
             Camera.stopCamera();
+        });
+        
+        // Also fires when the camera is switched from the picker or fails
+        Camera.onStateChange(running => {
             updateButtonStates();
-            stopContinuousScan();
+            if (running) {
+                Camera.clearCanvas();
+            } else {
+                stopContinuousScan();
+                clearDetectedProductsDisplay();
+            }
+        });
+    }
+
+    /**
+     * Setup scan zone editing
+     * The zone's square center crop is what the model sees; it is drawn as a
+     * dashed guide over the feed
+     */
+    function setupScanZone() {
+        const zoneBtn = document.getElementById('scanZoneBtn');
+        const resetBtn = document.getElementById('scanZoneResetBtn');
+        
+        Camera.setScanGuide(Detection.getCropRegion);
+        Settings.onChange(() => Camera.clearCanvas());
+        
+        zoneBtn.addEventListener('click', () => {
+            if (continuousScanActive) {
+                stopContinuousScan();
+            }
             clearDetectedProductsDisplay();
+            zoneBtn.textContent = '✋ Drag on the feed (Esc to cancel)';
+            
+            Camera.selectScanZone(zone => {
+                zoneBtn.textContent = '🎯 Set Scan Zone';
+                updateButtonStates();
+                if (!zone) return;
+                
+                const result = Settings.update({ scanZone: zone });
+                if (!result.success) {
+                    alert(result.errors.join('\n'));
+                }
+            });
+            updateButtonStates();
+        });
+        
+        resetBtn.addEventListener('click', () => {
+            Settings.update({ scanZone: null });
         });
     }
 
@@ -122,6 +272,21 @@ const App = (function() {
         });
     }
 
+    /**
+     * Keep the hands-free checkbox in sync with the hands-free setting
+     */
+    function setupHandsFreeToggle() {
+        const handsFreeToggle = document.getElementById('handsFreeToggle');
+        handsFreeToggle.checked = Settings.get('handsFree');
+        
+        handsFreeToggle.addEventListener('change', () => {
+            Settings.update({ handsFree: handsFreeToggle.checked });
+        });
+        Settings.onChange(settings => {
+            handsFreeToggle.checked = settings.handsFree;
+        });
+    }
+
     /**
      * Start continuous scanning
      */
@@ -144,20 +309,73 @@ const App = (function() {
         
         document.querySelector('.scan-controls').classList.add('scanning');
         
-        Detection.startContinuousDetection((detections) => {
+        autoAddArmed = true;
+        Detection.startContinuousDetection((detections, stability) => {
             currentDetections = detections;
+            if (stability.isEmpty) {
+                autoAddArmed = true;
+            }
+            
             if (detections.length > 0) {
                 Camera.drawDetections(detections);
                 updateDetectedProductsDisplay(detections);
+                // Hands-free relies on the classifier's frame smoothing
+                if (!Detection.isObjectDetector()) {
+                    handsFreeAdd(detections[0]);
+                }
             } else {
                 Camera.clearCanvas();
-                clearDetectedProductsDisplay();
+                showScanProgress(stability);
             }
-        }, 500);
+        });
         
         console.log('[App] Continuous scanning started');
     }
 
+    /**
+     * Add a stable detection to the cart in hands-free mode
+     * Only one item is added until the scan area has been seen empty again
+     * @param {Object} detection - Stable detection
+     */
+    function handsFreeAdd(detection) {
+        if (!Settings.get('handsFree') || !autoAddArmed || !detection.product) {
+            return;
+        }
+        
+        autoAddArmed = false;
+        const line = Cart.addItem(detection.product, detection.confidence, { source: 'scan', resolution: 'auto', className: detection.className });
+        keepDetectedFrame(line, Camera.captureFrame());
+        Stats.incrementItemsScanned(1);
+        console.log('[App] Hands-free added', detection.product.nameEn, 'to cart');
+    }
+
+    /**
+     * Show what continuous scanning is waiting for
+     * @param {Object} stability - Detection stability state
+     */
+    function showScanProgress(stability) {
+        const detectedList = document.getElementById('detectedList');
+        
+        if (!autoAddArmed && !stability.isEmpty) {
+            detectedList.innerHTML = '<p class="no-detection">✅ Added. Clear the scan area for the next item.</p>';
+        } else if (stability.candidate && !Detection.isEmptyClass(stability.candidate)) {
+            detectedList.innerHTML = `<p class="no-detection">Hold steady… (${stability.candidateFrames}/${stability.requiredFrames})</p>`;
+        } else {
+            clearDetectedProductsDisplay();
+        }
+    }
+
+    /**
+     * Stop scanning when the till is locked, so nothing is added to the cart
+     * (and later attributed to the next user) while nobody is logged in
+     * @param {Object|null} user - Logged-in user, null when locked
+     */
+    function handleUserChange(user) {
+        if (!user) {
+            stopContinuousScan();
+        }
+    }
+
     /**
      * Stop continuous scanning
      */
@@ -200,27 +418,32 @@ const App = (function() {
         
         try {
             Camera.clearCanvas();
-            const detections = await Detection.scanProducts();
-            currentDetections = detections;
+            pendingFrame = Camera.captureFrame();
+            const result = await Detection.scanWithCandidates();
+            currentDetections = result.detections;
+            pendingCandidates = result.candidates;
             
             document.querySelector('.scan-controls').classList.remove('scanning');
             
-            if (detections.length === 0) {
+            if (result.outcome === 'empty') {
                 console.log('[App] No products detected');
                 clearDetectedProductsDisplay();
                 const detectedList = document.getElementById('detectedList');
                 detectedList.innerHTML = '<p class="no-detection">No products detected. Try adjusting camera angle.</p>';
-            } else {
-                Camera.drawDetections(detections);
-                updateDetectedProductsDisplay(detections);
+            } else if (result.outcome === 'unrecognized') {
+                showManualPicker('❓ Not recognized. Pick the product:');
+            } else if (result.outcome === 'multi') {
+                addDetectedItems(result.detections);
+            } else if (result.outcome === 'auto' && Settings.get('autoAddOnScan')) {
+                Camera.drawDetections(result.detections);
+                updateDetectedProductsDisplay(result.detections);
                 
-                // Auto-add to cart
-                const firstDetection = detections[0];
-                if (firstDetection.product) {
-                    Cart.addItem(firstDetection.product, firstDetection.confidence);
-                    Stats.incrementItemsScanned(1);
-                    console.log('[App] Added', firstDetection.product.nameEn, 'to cart');
-                }
+                const detection = result.detections[0];
+                addScannedProduct(detection.product, detection.confidence, 'auto', detection.className);
+            } else {
+                // Grey zone (or auto-add turned off): the cashier confirms
+                Camera.drawDetections(result.detections);
+                showCandidatePicker();
             }
             
         } catch (error) {
@@ -233,6 +456,134 @@ const App = (function() {
         }
     }
 
+    /**
+     * Add a scanned product, recording how it was resolved for later review
+     * @param {Object} product - Product to add
+     * @param {number|null} confidence - Model confidence for the product
+     * @param {string} resolution - 'auto', 'picked' (from candidates) or 'manual'
+     * @param {string|null} className - Model class the product was detected as
+     */
+    function addScannedProduct(product, confidence, resolution, className = null) {
+        const line = Cart.addItem(product, confidence, {
+            source: 'scan',
+            resolution: resolution,
+            className: className,
+            candidates: pendingCandidates.map(candidate => ({
+                productId: candidate.product.id,
+                className: candidate.className,
+                confidence: candidate.confidence
+            }))
+        });
+        if (className) {
+            keepDetectedFrame(line, pendingFrame);
+        }
+        Stats.incrementItemsScanned(1);
+        console.log('[App] Added', product.nameEn, 'to cart', `(${resolution})`);
+    }
+
+    /**
+     * Keep the frame a line's latest unit was detected in
+     * @param {Object} line - Cart line returned by Cart.addItem
+     * @param {ImageData|null} frame - Scanned frame
+     */
+    function keepDetectedFrame(line, frame) {
+        if (frame) {
+            detectedFrames.set(line.id, frame);
+        }
+    }
+
+    /**
+     * Save the pending scan frame when the cashier's pick differs from the model's best guess
+     * @param {Object} product - Product the cashier picked
+     */
+    function saveCorrectionSample(product) {
+        const best = pendingCandidates[0];
+        if (!pendingFrame || !product.modelClass || (best && best.product.id === product.id)) {
+            return;
+        }
+        
+        Samples.saveSample(pendingFrame, product.modelClass, {
+            reason: 'corrected',
+            predicted: best ? { label: best.className, confidence: best.confidence } : null
+        }).catch(error => console.error('[App] Failed to save training sample:', error));
+    }
+
+    /**
+     * Ask the cashier to pick among the top candidates of an uncertain scan
+     */
+    function showCandidatePicker() {
+        const detectedList = document.getElementById('detectedList');
+        
+        detectedList.innerHTML = `
+            <p class="no-detection">🤔 Not sure. Which product is it?</p>
+            <div class="candidate-list">
+                ${pendingCandidates.map((candidate, index) => `
+                    <button class="candidate-btn" onclick="App.pickCandidate(${index})">
+                        <span>${Utils.escapeHtml(`${candidate.product.nameAr} / ${candidate.product.nameEn}`)}</span>
+                        <span class="candidate-confidence">${Math.round(candidate.confidence * 100)}%</span>
+                    </button>
+                `).join('')}
+                <button class="btn btn-secondary btn-small" onclick="App.showManualPicker()">Something else…</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Let the cashier pick any active product by hand
+     * @param {string} message - Prompt shown above the products
+     */
+    function showManualPicker(message = 'Pick the product:') {
+        const detectedList = document.getElementById('detectedList');
+        const products = Catalog.getActiveProducts();
+        
+        detectedList.innerHTML = `
+            <p class="no-detection">${Utils.escapeHtml(message)}</p>
+            <div class="candidate-list">
+                ${products.map(product => `
+                    <button class="candidate-btn" onclick="App.pickManualProduct(${product.id})">
+                        <span>${Utils.escapeHtml(`${product.nameAr} / ${product.nameEn}`)}</span>
+                        <span class="candidate-confidence">${product.price} DZD</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Add one of the suggested candidates
+     * @param {number} index - Candidate index
+     */
+    function pickCandidate(index) {
+        const candidate = pendingCandidates[index];
+        if (!candidate) return;
+        
+        addScannedProduct(candidate.product, candidate.confidence, 'picked', candidate.className);
+        saveCorrectionSample(candidate.product);
+        finishPick(candidate.product);
+    }
+
+    /**
+     * Add a product picked from the manual picker
+     * @param {number} productId - Product ID
+     */
+    function pickManualProduct(productId) {
+        const product = Catalog.getProductById(productId);
+        if (!product) return;
+        
+        addScannedProduct(product, null, 'manual');
+        saveCorrectionSample(product);
+        finishPick(product);
+    }
+
+    function finishPick(product) {
+        pendingCandidates = [];
+        pendingFrame = null;
+        Camera.clearCanvas();
+        clearDetectedProductsDisplay();
+        document.getElementById('detectedList').innerHTML =
+            `<p class="no-detection">✅ Added ${Utils.escapeHtml(product.nameEn)}</p>`;
+    }
+
     /**
      * Update detected products display
      */
@@ -246,7 +597,7 @@ const App = (function() {
         
         detectedList.innerHTML = detections.map((detection, index) => {
             const productName = detection.product ? 
-                `${detection.product.nameAr} / ${detection.product.nameEn}` : 
+                Utils.escapeHtml(`${detection.product.nameAr} / ${detection.product.nameEn}`) : 
                 'Unknown';
             const productPrice = detection.product ? 
                 `${detection.product.price} DZD` : '';
@@ -259,7 +610,9 @@ const App = (function() {
                             Confidence: ${Math.round(detection.confidence * 100)}% | ${productPrice}
                         </div>
                     </div>
-                    ${detection.product ? `
+                    ${detection.added ? `
+                    <span class="detected-item-added">✓ Added</span>
+                    ` : detection.product ? `
                     <button class="add-to-cart-btn" onclick="App.addDetectedToCart(${index})">
                         Add to Cart
                     </button>
@@ -269,6 +622,42 @@ const App = (function() {
         }).join('');
     }
 
+    /**
+     * Show every class probability of the latest frame as bars
+     * @param {Object|null} frame - Frame from Detection.onFrame, or null to reset
+     */
+    function renderProbabilities(frame) {
+        const barsElement = document.getElementById('probabilityBars');
+        const latencyElement = document.getElementById('inferenceLatency');
+        
+        if (!frame) {
+            barsElement.innerHTML = '<p class="no-detection">Scan to see the class probabilities</p>';
+            latencyElement.textContent = '';
+            return;
+        }
+        
+        const topProbability = Math.max(...frame.scores.map(score => score.probability));
+        latencyElement.textContent = `${Math.round(frame.latencyMs)} ms`;
+        
+        barsElement.innerHTML = frame.scores.map(score => {
+            const percent = Math.round(score.probability * 100);
+            const target = score.isEmpty ? 'no product' : (score.product ? score.product.nameEn : 'not in catalog');
+            
+            return `
+                <div class="probability-row ${score.probability === topProbability ? 'top' : ''}">
+                    <span class="probability-label">
+                        ${Utils.escapeHtml(score.label)}
+                        <span class="cart-item-name-en">→ ${Utils.escapeHtml(target)}</span>
+                    </span>
+                    <div class="probability-track">
+                        <div class="probability-fill ${score.isEmpty ? 'empty' : ''}" style="width: ${percent}%"></div>
+                    </div>
+                    <span class="probability-value">${percent}%</span>
+                </div>
+            `;
+        }).join('');
+    }
+
     /**
      * Clear detected products display
      */
@@ -278,25 +667,69 @@ const App = (function() {
         currentDetections = [];
     }
 
+    /**
+     * Add every confidently detected item of an object-detector scan
+     * Items below the auto-add threshold stay listed for the cashier to add
+     * @param {Array} detections - Detections, one per item on the tray
+     */
+    function addDetectedItems(detections) {
+        Camera.drawDetections(detections);
+        
+        if (Settings.get('autoAddOnScan')) {
+            detections
+                .filter(detection => detection.confidence >= Settings.get('autoAddThreshold'))
+                .forEach(detection => {
+                    addScannedProduct(detection.product, detection.confidence, 'auto', detection.className);
+                    detection.added = true;
+                });
+        }
+        
+        updateDetectedProductsDisplay(detections);
+    }
+
     /**
      * Add detected product to cart
      */
     function addDetectedToCart(detectionIndex) {
         const detection = currentDetections[detectionIndex];
-        if (detection && detection.product) {
-            Cart.addItem(detection.product, detection.confidence);
+        if (detection && detection.product && !detection.added) {
+            const line = Cart.addItem(detection.product, detection.confidence, { source: 'scan', resolution: 'picked', className: detection.className });
+            // Continuous detections are live; a single scan's were made on its pending frame
+            keepDetectedFrame(line, continuousScanActive ? Camera.captureFrame() : pendingFrame);
             Stats.incrementItemsScanned(1);
+            detection.added = true;
+            updateDetectedProductsDisplay(currentDetections);
             console.log('[App] Added', detection.product.nameEn, 'to cart');
         }
     }
 
+    /**
+     * After a model-detected line is removed, offer to save the frame it was
+     * detected in as a training sample
+     * @param {Object} item - Removed cart line
+     */
+    function offerRemovedItemSample(item) {
+        const detectedScans = item.scans.filter(scan => scan.className && scan.resolution !== 'manual');
+        const frame = detectedFrames.get(item.id);
+        if (detectedScans.length === 0 || !frame || !Detection.isModelLoaded()) {
+            return;
+        }
+        
+        const lastScan = detectedScans[detectedScans.length - 1];
+        Samples.promptCapture({
+            productName: item.nameEn,
+            frame: frame,
+            predicted: { label: lastScan.className, confidence: lastScan.confidence }
+        });
+    }
+
     /**
      * Setup complete order event
      */
     function setupCompleteOrderEvent() {
         const completeOrderBtn = document.getElementById('completeOrderBtn');
         
-        completeOrderBtn.addEventListener('click', () => {
+        completeOrderBtn.addEventListener('click', async () => {
             const orderData = Cart.getOrderData();
             
             if (orderData.items.length === 0) {
@@ -304,35 +737,42 @@ const App = (function() {
                 return;
             }
             
-            const confirmComplete = confirm(
-                `Complete order?\n` +
-                `Items: ${orderData.itemsCount}\n` +
-                `Total: ${orderData.total} DZD`
-            );
+            if (!Shifts.isOpen()) {
+                alert('Open a shift with a starting cash float before taking orders.');
+                Shifts.open();
+                return;
+            }
+            
+            const payment = await Checkout.open(orderData);
             
-            if (!confirmComplete) return;
+            if (!payment) return;
             
             if (continuousScanActive) {
                 stopContinuousScan();
             }
             
-            const exportResult = Export.exportOrder(orderData);
-            
-            if (exportResult.success) {
-                Stats.incrementOrders();
-                Stats.addRevenue(orderData.total);
-                Cart.clearCart();
-                Camera.clearCanvas();
-                clearDetectedProductsDisplay();
-                
-                const statsSection = document.querySelector('.stats-dashboard');
-                statsSection.classList.add('success-animation');
-                setTimeout(() => statsSection.classList.remove('success-animation'), 500);
-                
-                alert('✅ Order completed successfully!\n\nOrder ID: ' + exportResult.orderId);
-            } else {
-                alert('Export failed: ' + exportResult.error);
+            let order;
+            try {
+                order = await Orders.saveOrder(orderData, payment, Shifts.getCurrentShift().shiftId, Users.getAttribution());
+            } catch (error) {
+                console.error('[App] Failed to save order:', error);
+                alert('Saving order failed: ' + error.message);
+                return;
             }
+            
+            Stats.incrementOrders();
+            Stats.addRevenue(order.total, payment.method);
+            Stats.addDiscounts(order.discountTotal);
+            Cart.finishOrder();
+            detectedFrames.clear();
+            Camera.clearCanvas();
+            clearDetectedProductsDisplay();
+            
+            const statsSection = document.querySelector('.stats-dashboard');
+            statsSection.classList.add('success-animation');
+            setTimeout(() => statsSection.classList.remove('success-animation'), 500);
+            
+            Receipt.show(order, '✅ Order Completed');
         });
     }
 
@@ -355,16 +795,23 @@ const App = (function() {
     function setupExportEvent() {
         const exportBtn = document.getElementById('exportBtn');
         
-        exportBtn.addEventListener('click', () => {
-            const stats = Stats.getStats();
-            if (stats.ordersCompleted === 0) {
-                alert('No orders to export yet!');
+        exportBtn.addEventListener('click', async () => {
+            const from = document.getElementById('exportFrom').value;
+            const to = document.getElementById('exportTo').value;
+            if (from && to && from > to) {
+                alert('The "From" date must be before the "To" date.');
                 return;
             }
             
-            const exportResult = Export.exportAllOrders();
+            const exportResult = await Export.exportAllOrders({
+                format: document.getElementById('exportFormat').value,
+                from: from,
+                to: to
+            });
             if (exportResult.success) {
-                alert('✅ Orders exported successfully!\n\nFile: ' + exportResult.filename);
+                alert(`✅ ${exportResult.count} orders exported successfully!\n\nFile: ${exportResult.filename}`);
+            } else if (exportResult.count === 0) {
+                alert(from || to ? 'No orders in the selected date range.' : 'No orders to export yet!');
             } else {
                 alert('Export failed: ' + exportResult.error);
             }
@@ -382,8 +829,11 @@ const App = (function() {
         const cameraActive = Camera.isRunning();
         const modelReady = modelStatus.loaded;
         
-        scanBtn.disabled = !cameraActive || !modelReady;
-        continuousBtn.disabled = !cameraActive || !modelReady;
+        const selectingZone = Camera.isSelectingScanZone();
+        
+        scanBtn.disabled = !cameraActive || !modelReady || selectingZone;
+        continuousBtn.disabled = !cameraActive || !modelReady || selectingZone;
+        document.getElementById('scanZoneBtn').disabled = !cameraActive || selectingZone;
     }
 
     /**
@@ -421,6 +871,9 @@ const App = (function() {
         init,
         updateButtonStates,
         addDetectedToCart,
+        pickCandidate,
+        pickManualProduct,
+        showManualPicker,
         startContinuousScan,
         stopContinuousScan
     };
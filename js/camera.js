@@ -7,9 +7,24 @@
 const Camera = (function() {
     'use strict';
 
+    // Resolutions offered in the picker
+    const RESOLUTIONS = {
+        '640x480': { width: 640, height: 480, label: '640 × 480' },
+        '1280x720': { width: 1280, height: 720, label: '1280 × 720 (HD)' },
+        '1920x1080': { width: 1920, height: 1080, label: '1920 × 1080 (Full HD)' }
+    };
+    const DEFAULT_RESOLUTION = '1280x720';
+    const STORAGE_KEY = 'pos_camera';
+    const NOTICE_DURATION = 6000;
+
     // Private state
     let stream = null;
     let isActive = false;
+    let devices = [];
+    let preferences = { deviceId: '', resolutions: {} };
+    let noticeTimeout = null;
+    let stateListeners = [];
+    let scanGuideProvider = null;
     
     // DOM Elements
     const videoElement = document.getElementById('videoFeed');
@@ -20,40 +35,244 @@ const Camera = (function() {
     const statusElement = document.getElementById('cameraStatus');
     const placeholderElement = document.getElementById('videoPlaceholder');
     const errorElement = document.getElementById('cameraError');
+    const deviceSelect = document.getElementById('cameraDeviceSelect');
+    const resolutionSelect = document.getElementById('cameraResolutionSelect');
 
     /**
      * Initialize camera module
-     * Sets up event listeners
+     * Sets up event listeners; the start/stop buttons are wired by App
      */
     function init() {
-        startBtn.addEventListener('click', startCamera);
-        stopBtn.addEventListener('click', stopCamera);
+        loadPreferences();
         
-        // Handle video loaded metadata to resize canvas
-        videoElement.addEventListener('loadedmetadata', resizeCanvas);
-        videoElement.addEventListener('play', resizeCanvas);
+        // Handle video loaded metadata to resize canvas (and redraw the scan guide)
+        videoElement.addEventListener('loadedmetadata', handleVideoResize);
+        videoElement.addEventListener('play', handleVideoResize);
         window.addEventListener('resize', resizeCanvas);
         
+        deviceSelect.addEventListener('change', () => setDevice(deviceSelect.value));
+        resolutionSelect.addEventListener('change', () => setResolution(resolutionSelect.value));
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', refreshDevices);
+        }
+        
+        renderResolutionOptions();
+        refreshDevices();
+        
         console.log('[Camera] Module initialized');
     }
 
+    // ============================================================================
+    // DEVICE & RESOLUTION PREFERENCES
+    // ============================================================================
+
+    /**
+     * Load the chosen camera and per-camera resolutions from localStorage
+     */
+    function loadPreferences() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored) {
+                preferences = {
+                    deviceId: stored.deviceId || '',
+                    resolutions: { ...stored.resolutions }
+                };
+            }
+        } catch (error) {
+            console.error('[Camera] Failed to load preferences:', error);
+        }
+    }
+
+    function savePreferences() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+        } catch (error) {
+            console.error('[Camera] Failed to save preferences:', error);
+        }
+    }
+
+    /**
+     * Get the resolution remembered for a camera
+     * @param {string} deviceId - Device ID ('' for the default camera)
+     * @returns {string} Resolution key
+     */
+    function getResolution(deviceId = preferences.deviceId) {
+        const resolution = preferences.resolutions[deviceId || 'default'];
+        return RESOLUTIONS[resolution] ? resolution : DEFAULT_RESOLUTION;
+    }
+
+    /**
+     * Get the current camera choice
+     * @returns {Object} { deviceId, resolution }
+     */
+    function getSelection() {
+        return {
+            deviceId: preferences.deviceId,
+            resolution: getResolution()
+        };
+    }
+
+    /**
+     * List the video input devices
+     * Labels are empty until camera permission has been granted
+     * @returns {Promise<Array>} [{ deviceId, label }]
+     */
+    async function refreshDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            renderDeviceOptions();
+            return devices;
+        }
+        
+        try {
+            const all = await navigator.mediaDevices.enumerateDevices();
+            devices = all
+                .filter(device => device.kind === 'videoinput')
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `Camera ${index + 1}`
+                }));
+        } catch (error) {
+            console.error('[Camera] Failed to list devices:', error);
+            devices = [];
+        }
+        
+        renderDeviceOptions();
+        return devices;
+    }
+
+    function getDevices() {
+        return devices.map(device => ({ ...device }));
+    }
+
+    function renderDeviceOptions() {
+        const escape = Utils.escapeHtml;
+        const known = devices.some(device => device.deviceId === preferences.deviceId);
+        
+        deviceSelect.innerHTML = '<option value="">Default (back camera)</option>' +
+            devices
+                .filter(device => device.deviceId)
+                .map(device => `<option value="${escape(device.deviceId)}">${escape(device.label)}</option>`)
+                .join('') +
+            // Keep a remembered camera selectable while it is unplugged or unlabelled
+            (preferences.deviceId && !known ? `<option value="${escape(preferences.deviceId)}">Last used camera</option>` : '');
+        deviceSelect.value = preferences.deviceId;
+    }
+
+    function renderResolutionOptions() {
+        resolutionSelect.innerHTML = Object.keys(RESOLUTIONS)
+            .map(key => `<option value="${key}">${RESOLUTIONS[key].label}</option>`)
+            .join('');
+        resolutionSelect.value = getResolution();
+    }
+
+    /**
+     * Switch to another camera, restarting the feed if it is running
+     * @param {string} deviceId - Device ID ('' for the default camera)
+     */
+    async function setDevice(deviceId) {
+        preferences.deviceId = deviceId || '';
+        savePreferences();
+        resolutionSelect.value = getResolution();
+        
+        if (isActive) {
+            await startCamera();
+        }
+    }
+
+    /**
+     * Change the resolution of the current camera, restarting the feed if it is running
+     * @param {string} resolution - Resolution key, e.g. '1280x720'
+     */
+    async function setResolution(resolution) {
+        if (!RESOLUTIONS[resolution]) return;
+        
+        preferences.resolutions[preferences.deviceId || 'default'] = resolution;
+        savePreferences();
+        
+        if (isActive) {
+            await startCamera();
+        }
+    }
+
+    /**
+     * Build the getUserMedia attempts, from the requested settings to the most relaxed
+     * @param {string} deviceId - Device ID ('' for the default camera)
+     * @param {string} resolution - Resolution key
+     * @returns {Array<Object>} [{ description, constraints }]
+     */
+    function buildAttempts(deviceId, resolution) {
+        const size = RESOLUTIONS[resolution];
+        const source = deviceId
+            ? { deviceId: { exact: deviceId } }
+            : { facingMode: 'environment' }; // Prefer back camera
+        
+        return [
+            {
+                description: `${deviceId ? 'selected camera' : 'default camera'} at ${size.label}`,
+                constraints: { ...source, width: { ideal: size.width }, height: { ideal: size.height } }
+            },
+            {
+                description: `${deviceId ? 'selected camera' : 'default camera'} at its default resolution`,
+                constraints: { ...source }
+            },
+            {
+                description: 'any available camera',
+                constraints: true
+            }
+        ];
+    }
+
+    /**
+     * Whether a failed attempt is worth retrying with relaxed constraints
+     * Permission problems and busy cameras fail the same way every time
+     * @param {Error} error - getUserMedia error
+     * @returns {boolean} True to retry
+     */
+    function isRetryable(error) {
+        return error.name === 'OverconstrainedError' ||
+            error.name === 'ConstraintNotSatisfiedError' ||
+            error.name === 'NotFoundError';
+    }
+
+    // ============================================================================
+    // CAMERA CONTROL
+    // ============================================================================
+
     /**
      * Request and start webcam access
-     * @returns {Promise<Object>} Result with success or error
+     * Uses the remembered camera and resolution; when those cannot be
+     * satisfied, retries with relaxed constraints
+     * @returns {Promise<Object>} Result with success, settings and fallback or error
      */
     async function startCamera() {
         try {
             hideError();
+            releaseStream();
             
-            // Request camera permission
-            stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: 'environment', // Prefer back camera
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
-                },
-                audio: false
-            });
+            const selection = getSelection();
+            const attempts = buildAttempts(selection.deviceId, selection.resolution);
+            let lastError = null;
+            let usedAttempt = 0;
+            
+            for (let i = 0; i < attempts.length && !stream; i++) {
+                try {
+                    stream = await navigator.mediaDevices.getUserMedia({
+                        video: attempts[i].constraints,
+                        audio: false
+                    });
+                    usedAttempt = i;
+                } catch (error) {
+                    lastError = error;
+                    if (!isRetryable(error)) {
+                        break;
+                    }
+                    console.warn('[Camera] Could not use', attempts[i].description, '-', error.name);
+                }
+            }
+            
+            if (!stream) {
+                throw lastError;
+            }
             
             // Display video stream
             videoElement.srcObject = stream;
@@ -61,7 +280,8 @@ const Camera = (function() {
             
             // Update UI
             isActive = true;
-            updateStatus(true);
+            const settings = getTrackSettings();
+            updateStatus(true, settings);
             updateButtons(true);
             placeholderElement.classList.add('hidden');
             
@@ -71,10 +291,24 @@ const Camera = (function() {
             // Resize canvas to match video
             resizeCanvas();
             
-            console.log('[Camera] Started successfully');
-            return { success: true };
+            // Labels become available once permission is granted
+            await refreshDevices();
+            stateListeners.forEach(listener => listener(true));
+            
+            const fallback = usedAttempt > 0 ? attempts[usedAttempt].description : null;
+            if (fallback) {
+                showNotice(`The requested camera settings are not supported. Using ${fallback}.`);
+            }
+            
+            console.log('[Camera] Started successfully', settings, fallback ? `(fallback: ${fallback})` : '');
+            return { success: true, settings: settings, fallback: fallback };
             
         } catch (error) {
+            if (isActive) {
+                // A failed switch leaves no usable feed
+                stopCamera();
+            }
+            releaseStream();
             const errorResult = handleCameraError(error);
             showError(errorResult.message);
             console.error('[Camera] Error:', errorResult);
@@ -83,31 +317,66 @@ const Camera = (function() {
     }
 
     /**
-     * Stop camera and release stream
+     * Stop the tracks of the current stream
      */
-    function stopCamera() {
+    function releaseStream() {
         if (stream) {
             // Stop all tracks (video/audio)
             stream.getTracks().forEach(track => track.stop());
             stream = null;
         }
+    }
+
+    /**
+     * Get the actual settings of the running video track
+     * @returns {Object|null} { deviceId, width, height }
+     */
+    function getTrackSettings() {
+        const track = stream ? stream.getVideoTracks()[0] : null;
+        if (!track || !track.getSettings) {
+            return null;
+        }
+        
+        const settings = track.getSettings();
+        return {
+            deviceId: settings.deviceId || '',
+            width: settings.width || null,
+            height: settings.height || null
+        };
+    }
+
+    /**
+     * Stop camera and release stream
+     */
+    function stopCamera() {
+        releaseStream();
         
         // Clear video
         videoElement.srcObject = null;
         videoElement.classList.remove('active');
         
-        // Clear canvas
+        // Clear canvas (after marking inactive, so no scan guide is drawn)
+        isActive = false;
         clearCanvas();
         
         // Update UI
-        isActive = false;
         updateStatus(false);
         updateButtons(false);
         placeholderElement.classList.remove('hidden');
+        stateListeners.forEach(listener => listener(false));
         
         console.log('[Camera] Stopped');
     }
 
+    /**
+     * Register a listener called when the camera starts (including camera
+     * switches) or stops
+     * @param {Function} listener - Receives true when running, false when stopped
+     */
+    function onStateChange(listener) {
+        stateListeners.push(listener);
+    }
+
     /**
      * Get current video stream
      * @returns {MediaStream|null} Current stream or null
@@ -142,27 +411,38 @@ const Camera = (function() {
 
     /**
      * Resize canvas to match video dimensions
+     * The canvas is laid over the part of the video that object-fit: cover
+     * shows, so boxes in video pixels line up with the picture
      */
     function resizeCanvas() {
         if (videoElement && videoElement.videoWidth && videoElement.videoHeight) {
             const container = videoElement.parentElement;
             const containerWidth = container.clientWidth;
+            const containerHeight = container.clientHeight;
             
-            // Calculate aspect ratio
-            const aspectRatio = videoElement.videoWidth / videoElement.videoHeight;
-            
-            // Set canvas size to match video
-            canvasElement.width = videoElement.videoWidth;
-            canvasElement.height = videoElement.videoHeight;
+            // Setting the size clears the canvas, so only do it on changes
+            if (canvasElement.width !== videoElement.videoWidth || canvasElement.height !== videoElement.videoHeight) {
+                canvasElement.width = videoElement.videoWidth;
+                canvasElement.height = videoElement.videoHeight;
+                console.log('[Camera] Canvas resized to', canvasElement.width, 'x', canvasElement.height);
+            }
             
-            // Scale canvas via CSS to fit container
-            canvasElement.style.width = '100%';
-            canvasElement.style.height = 'auto';
-            
-            console.log('[Camera] Canvas resized to', canvasElement.width, 'x', canvasElement.height);
+            // Scale like the video: cover the container, centered
+            const scale = Math.max(containerWidth / videoElement.videoWidth, containerHeight / videoElement.videoHeight) || 1;
+            const displayWidth = videoElement.videoWidth * scale;
+            const displayHeight = videoElement.videoHeight * scale;
+            canvasElement.style.width = `${displayWidth}px`;
+            canvasElement.style.height = `${displayHeight}px`;
+            canvasElement.style.left = `${(containerWidth - displayWidth) / 2}px`;
+            canvasElement.style.top = `${(containerHeight - displayHeight) / 2}px`;
         }
     }
 
+    function handleVideoResize() {
+        resizeCanvas();
+        clearCanvas();
+    }
+
     /**
      * Draw a single bounding box on canvas overlay
      * @param {Object} detection - Detection result with x, y, width, height, label, confidence
@@ -171,7 +451,8 @@ const Camera = (function() {
     function drawBoundingBox(detection, index = 0) {
         resizeCanvas();
         
-        const { x, y, width, height, displayName, confidence } = detection;
+        const { displayName, confidence } = detection;
+        const { x, y, width, height } = detection.boundingBox || detection;
         
         // Color palette for different detections
         const colors = [
@@ -198,18 +479,21 @@ const Camera = (function() {
         const labelPadding = 8;
         const labelWidth = canvasCtx.measureText(displayName || `${Math.round(confidence * 100)}%`).width + labelPadding * 2;
         
+        // Keep the label and bar on the canvas when the box touches an edge
+        const labelY = y >= labelHeight ? y - labelHeight : y;
+        
         // Label background
         canvasCtx.fillStyle = color;
-        canvasCtx.fillRect(x, y - labelHeight, labelWidth, labelHeight);
+        canvasCtx.fillRect(x, labelY, labelWidth, labelHeight);
         
         // Label text
         canvasCtx.fillStyle = '#ffffff';
         canvasCtx.font = 'bold 14px Arial, sans-serif';
-        canvasCtx.fillText(displayName || `${Math.round(confidence * 100)}%`, x + labelPadding, y - 8);
+        canvasCtx.fillText(displayName || `${Math.round(confidence * 100)}%`, x + labelPadding, labelY + labelHeight - 8);
         
         // Draw confidence bar
         const barHeight = 6;
-        const barY = y + height + 5;
+        const barY = Math.min(y + height + 5, canvasElement.height - barHeight);
         const barWidth = width;
         
         // Background bar
@@ -240,18 +524,126 @@ const Camera = (function() {
         if (canvasCtx && canvasElement) {
             canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
             canvasCtx.shadowBlur = 0;
+            drawScanGuide();
         }
     }
 
+    // ============================================================================
+    // SCAN ZONE
+    // ============================================================================
+
+    /**
+     * Set the function that gives the region fed to the model, drawn as a
+     * dashed guide whenever the canvas is cleared
+     * @param {Function|null} provider - (videoWidth, videoHeight) => { x, y, width, height }
+     */
+    function setScanGuide(provider) {
+        scanGuideProvider = provider;
+        clearCanvas();
+    }
+
+    function drawScanGuide() {
+        if (!scanGuideProvider || !isActive || !videoElement.videoWidth) {
+            return;
+        }
+        
+        resizeCanvas();
+        const region = scanGuideProvider(videoElement.videoWidth, videoElement.videoHeight);
+        canvasCtx.save();
+        canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        canvasCtx.lineWidth = 2;
+        canvasCtx.setLineDash([10, 8]);
+        canvasCtx.strokeRect(region.x, region.y, region.width, region.height);
+        canvasCtx.restore();
+    }
+
+    /**
+     * Let the user drag a rectangle on the feed to set the scan zone
+     * @param {Function} onSelect - Called with { x, y, width, height } as
+     *   fractions of the frame, or null when cancelled
+     */
+    function selectScanZone(onSelect) {
+        if (!isActive || !videoElement.videoWidth) {
+            onSelect(null);
+            return;
+        }
+        
+        resizeCanvas();
+        let start = null;
+        canvasElement.classList.add('selecting');
+        
+        // Pointer position as a fraction of the frame, clamped to its edges
+        const toFraction = event => {
+            const rect = canvasElement.getBoundingClientRect();
+            return {
+                x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+                y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+            };
+        };
+        const toZone = (a, b) => ({
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        });
+        
+        const handleDown = event => {
+            start = toFraction(event);
+            canvasElement.setPointerCapture(event.pointerId);
+        };
+        const handleMove = event => {
+            if (!start) return;
+            const zone = toZone(start, toFraction(event));
+            canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+            canvasCtx.save();
+            canvasCtx.strokeStyle = '#f59e0b';
+            canvasCtx.lineWidth = 3;
+            canvasCtx.strokeRect(zone.x * canvasElement.width, zone.y * canvasElement.height,
+                zone.width * canvasElement.width, zone.height * canvasElement.height);
+            canvasCtx.restore();
+        };
+        const handleUp = event => {
+            if (!start) return;
+            const zone = toZone(start, toFraction(event));
+            finish();
+            onSelect(zone);
+        };
+        const handleKey = event => {
+            if (event.key === 'Escape') {
+                finish();
+                onSelect(null);
+            }
+        };
+        const finish = () => {
+            canvasElement.classList.remove('selecting');
+            canvasElement.removeEventListener('pointerdown', handleDown);
+            canvasElement.removeEventListener('pointermove', handleMove);
+            canvasElement.removeEventListener('pointerup', handleUp);
+            document.removeEventListener('keydown', handleKey);
+            clearCanvas();
+        };
+        
+        canvasElement.addEventListener('pointerdown', handleDown);
+        canvasElement.addEventListener('pointermove', handleMove);
+        canvasElement.addEventListener('pointerup', handleUp);
+        document.addEventListener('keydown', handleKey);
+    }
+
+    function isSelectingScanZone() {
+        return canvasElement.classList.contains('selecting');
+    }
+
     /**
      * Update camera status indicator
      * @param {boolean} active - Whether camera is active
      */
-    function updateStatus(active) {
+    function updateStatus(active, settings = null) {
         if (active) {
             statusElement.classList.add('active');
             statusElement.classList.remove('error');
-            statusElement.querySelector('.status-text').textContent = 'Camera Active';
+            statusElement.querySelector('.status-text').textContent = settings && settings.width
+                ? `Camera Active · ${settings.width}×${settings.height}`
+                : 'Camera Active';
         } else {
             statusElement.classList.remove('active');
             statusElement.classList.remove('error');
@@ -296,7 +688,7 @@ const Camera = (function() {
             return {
                 error: true,
                 type: 'settings',
-                message: 'Camera does not support the requested settings. Trying default settings...'
+                message: 'No camera could satisfy the requested settings, even with relaxed settings. Try another camera or resolution.'
             };
         } else {
             return {
@@ -312,17 +704,31 @@ const Camera = (function() {
      * @param {string} message - Error message
      */
     function showError(message) {
+        clearTimeout(noticeTimeout);
+        errorElement.classList.remove('notice');
         errorElement.textContent = message;
         errorElement.classList.add('visible');
         statusElement.classList.add('error');
         statusElement.querySelector('.status-text').textContent = 'Camera Error';
     }
 
+    /**
+     * Show a non-fatal message over the feed for a few seconds
+     * @param {string} message - Notice message
+     */
+    function showNotice(message) {
+        clearTimeout(noticeTimeout);
+        errorElement.textContent = message;
+        errorElement.classList.add('visible', 'notice');
+        noticeTimeout = setTimeout(hideError, NOTICE_DURATION);
+    }
+
     /**
      * Hide error message
      */
     function hideError() {
-        errorElement.classList.remove('visible');
+        clearTimeout(noticeTimeout);
+        errorElement.classList.remove('visible', 'notice');
     }
 
     /**
@@ -350,11 +756,20 @@ const Camera = (function() {
         stopCamera,
         getStream,
         isRunning,
+        onStateChange,
+        getDevices,
+        refreshDevices,
+        getSelection,
+        setDevice,
+        setResolution,
         getVideoElement,
         getCanvasElement,
         drawBoundingBox,
         drawDetections,
         clearCanvas,
+        setScanGuide,
+        selectScanZone,
+        isSelectingScanZone,
         captureFrame,
         resizeCanvas
     };
@@ -1,6 +1,12 @@
 /**
  * Cart Module
  * Manages shopping cart state and operations
+ * Each cart item is an order line with a quantity; scanning the same product
+ * again merges into its line and is kept in the line's scan history
+ * Totals come from Pricing, which applies the discount and promotion rules,
+ * and Tax, which adds taxes and the service charge
+ * Every cashier action can be undone and redone until the order is completed;
+ * items taken out of the cart are recorded as voids (see Voids)
  */
 
 const Cart = (function() {
@@ -9,104 +15,427 @@ const Cart = (function() {
     // Private state
     let items = [];
     let itemIdCounter = 0;
+    let removeListeners = [];
+    // Cashier-applied discounts (e.g. staff discount) for the current order
+    let manualRuleIds = [];
+    // Undo/redo history: { label, before, after, voidId, undoVoidId }
+    let undoStack = [];
+    let redoStack = [];
+
+    // Re-price every minute so time-window promotions start and end on their own
+    const PRICING_REFRESH_MS = 60000;
+    // Undo steps kept for the current order
+    const MAX_HISTORY = 50;
 
     // DOM Elements
     const cartItemsElement = document.getElementById('cartItems');
     const cartItemCountElement = document.getElementById('cartItemCount');
     const cartTotalElement = document.getElementById('cartTotal');
+    const cartSubtotalRow = document.getElementById('cartSubtotalRow');
+    const cartSubtotalElement = document.getElementById('cartSubtotal');
+    const cartDiscountRow = document.getElementById('cartDiscountRow');
+    const cartDiscountElement = document.getElementById('cartDiscount');
+    const cartTaxRowsElement = document.getElementById('cartTaxRows');
+    const discountButtonsElement = document.getElementById('cartDiscountButtons');
     const clearCartBtn = document.getElementById('clearCartBtn');
     const completeOrderBtn = document.getElementById('completeOrderBtn');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
 
     /**
      * Initialize cart module
      */
     function init() {
-        clearCartBtn.addEventListener('click', clearCart);
         completeOrderBtn.addEventListener('click', getOrderData);
+        undoBtn.addEventListener('click', undo);
+        redoBtn.addEventListener('click', redo);
+        document.addEventListener('keydown', handleShortcut);
+        Pricing.onChange(() => {
+            const manualIds = Pricing.getManualRules().map(rule => rule.id);
+            manualRuleIds = manualRuleIds.filter(id => manualIds.includes(id));
+            renderCart();
+        });
+        Tax.onChange(renderCart);
+        setInterval(() => {
+            if (items.length > 0) {
+                renderCart();
+            }
+        }, PRICING_REFRESH_MS);
         renderCart();
+        updateButtons();
         console.log('[Cart] Module initialized');
     }
 
     /**
-     * Add product to cart
+     * Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes; ignored while typing or when a dialog is open
+     * @param {KeyboardEvent} event - Key event
+     */
+    function handleShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        if (event.target instanceof Element && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (document.querySelector('.modal-overlay.visible')) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            redo();
+        }
+    }
+
+    /**
+     * Add one unit of a product to cart
+     * Merges into the existing line for the same product
      * @param {Object} product - Product to add
      * @param {number} confidence - Detection confidence (optional)
+     * @param {Object} details - Extra scan details kept for review, e.g.
+     *   { source: 'scan'|'manual', resolution: 'auto'|'picked'|'manual', candidates: [{ productId, className, confidence }] }
+     *   source 'manual' marks items tapped in the product grid instead of scanned
+     * @returns {Object} The cart line
      */
-    function addItem(product, confidence = null) {
-        const cartItem = {
-            id: ++itemIdCounter,
-            productId: product.id,
-            nameAr: product.nameAr,
-            nameEn: product.nameEn,
-            price: product.price,
-            confidence: confidence,
-            addedAt: new Date().toISOString()
-        };
+    function addItem(product, confidence = null, details = {}) {
+        const now = new Date().toISOString();
+        const scan = { confidence: confidence, addedAt: now, ...details };
         
-        items.push(cartItem);
-        renderCart();
-        updateButtons();
+        let cartItem = null;
+        recordAction(`Add ${product.nameEn}`, null, () => {
+            cartItem = items.find(item => item.productId === product.id);
+            if (cartItem) {
+                cartItem.quantity += 1;
+                cartItem.scans.push(scan);
+            } else {
+                cartItem = {
+                    id: ++itemIdCounter,
+                    productId: product.id,
+                    nameAr: product.nameAr,
+                    nameEn: product.nameEn,
+                    price: product.price,
+                    taxRate: Tax.isRate(product.taxRate) ? product.taxRate : null,
+                    quantity: 1,
+                    scans: [scan],
+                    addedAt: now
+                };
+                items.push(cartItem);
+            }
+        });
+        
+        console.log('[Cart] Added item:', product.nameEn, 'x', cartItem.quantity);
+        return copyItem(cartItem);
+    }
+
+    /**
+     * Set the quantity of a line (0 removes it)
+     * @param {number} itemId - Line ID
+     * @param {number} quantity - New quantity
+     */
+    function setQuantity(itemId, quantity) {
+        const item = items.find(entry => entry.id === itemId);
+        if (!item) return;
+        
+        const newQuantity = Math.max(0, Math.floor(quantity));
+        if (newQuantity === 0) {
+            removeItem(itemId);
+            return;
+        }
+        if (newQuantity === item.quantity) return;
         
-        console.log('[Cart] Added item:', product.nameEn);
-        return cartItem;
+        const voidAction = newQuantity < item.quantity ? 'decrease' : null;
+        recordAction(`${item.nameEn} × ${newQuantity}`, voidAction, () => {
+            item.quantity = newQuantity;
+            // Drop the newest scans of removed units; units added with + have none
+            if (item.scans.length > newQuantity) {
+                item.scans = item.scans.slice(0, newQuantity);
+            }
+        });
+        console.log('[Cart] Quantity set:', item.nameEn, 'x', item.quantity);
+    }
+
+    /**
+     * Add one unit to a line
+     * @param {number} itemId - Line ID
+     */
+    function incrementItem(itemId) {
+        const item = items.find(entry => entry.id === itemId);
+        if (item) {
+            setQuantity(itemId, item.quantity + 1);
+        }
     }
 
     /**
-     * Remove item from cart
-     * @param {number} itemId - Item ID to remove
+     * Remove one unit from a line (removes the line at zero)
+     * @param {number} itemId - Line ID
+     */
+    function decrementItem(itemId) {
+        const item = items.find(entry => entry.id === itemId);
+        if (item) {
+            setQuantity(itemId, item.quantity - 1);
+        }
+    }
+
+    /**
+     * Remove a whole line from cart
+     * @param {number} itemId - Line ID to remove
      */
     function removeItem(itemId) {
         const index = items.findIndex(item => item.id === itemId);
         if (index !== -1) {
-            const removedItem = items.splice(index, 1)[0];
-            renderCart();
-            updateButtons();
+            const removedItem = items[index];
+            recordAction(`Remove ${removedItem.nameEn}`, 'remove', () => {
+                items.splice(index, 1);
+            });
             console.log('[Cart] Removed item:', removedItem.nameEn);
+            removeListeners.forEach(listener => listener(copyItem(removedItem)));
         }
     }
 
     /**
-     * Clear all items from cart
+     * Register a listener called when a line is removed (not when the cart is cleared)
+     * @param {Function} listener - Receives the removed line
+     */
+    function onItemRemoved(listener) {
+        removeListeners.push(listener);
+    }
+
+    /**
+     * Clear all items from cart (recorded as a void and undoable)
      */
     function clearCart() {
+        if (items.length === 0 && manualRuleIds.length === 0) return;
+        
+        recordAction('Clear cart', 'clear', () => {
+            items = [];
+            manualRuleIds = [];
+        });
+        console.log('[Cart] Cleared');
+    }
+
+    /**
+     * Empty the cart after its order was completed
+     * Not a void, and the undo history of the order is dropped
+     */
+    function finishOrder() {
         items = [];
+        manualRuleIds = [];
+        undoStack = [];
+        redoStack = [];
+        renderCart();
+        updateButtons();
+        console.log('[Cart] Order finished');
+    }
+
+    // ============================================================================
+    // UNDO / REDO
+    // ============================================================================
+
+    /**
+     * Capture the cart state for the undo history
+     * @returns {Object} { items, manualRuleIds }
+     */
+    function snapshot() {
+        return {
+            items: items.map(item => ({ ...item, scans: item.scans.map(copyScan) })),
+            manualRuleIds: manualRuleIds.slice()
+        };
+    }
+
+    /**
+     * Put the cart back in a captured state
+     * @param {Object} state - Snapshot
+     */
+    function restore(state) {
+        items = state.items.map(item => ({ ...item, scans: item.scans.map(copyScan) }));
+        manualRuleIds = state.manualRuleIds.slice();
+        renderCart();
+        updateButtons();
+    }
+
+    /**
+     * Run a cart change and add it to the undo history
+     * @param {string} label - Description shown on the undo/redo buttons
+     * @param {string|null} voidAction - Void action recorded for removed units
+     *   ('remove', 'decrease', 'clear'), or null when the change adds to the cart
+     * @param {Function} change - Mutates the cart
+     */
+    function recordAction(label, voidAction, change) {
+        const before = snapshot();
+        change();
+        const after = snapshot();
+        
+        undoStack.push({
+            label: label,
+            before: before,
+            after: after,
+            voidId: voidAction ? Voids.recordVoid(voidAction, before.items, after.items, label) : null,
+            undoVoidId: null
+        });
+        if (undoStack.length > MAX_HISTORY) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        
         renderCart();
         updateButtons();
-        console.log('[Cart] Cleared');
     }
 
     /**
-     * Get cart total price
+     * Undo the last cart action
+     * Items it had removed are marked restored; items it had added are voided
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return;
+        
+        restore(entry.before);
+        if (entry.voidId) {
+            Voids.setRestored(entry.voidId, true);
+        }
+        if (entry.undoVoidId) {
+            Voids.setRestored(entry.undoVoidId, false);
+        } else {
+            entry.undoVoidId = Voids.recordVoid('undo', entry.after.items, entry.before.items, entry.label);
+        }
+        redoStack.push(entry);
+        updateButtons();
+        console.log('[Cart] Undone:', entry.label);
+    }
+
+    /**
+     * Redo the last undone cart action
+     */
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return;
+        
+        restore(entry.after);
+        if (entry.voidId) {
+            Voids.setRestored(entry.voidId, false);
+        }
+        if (entry.undoVoidId) {
+            Voids.setRestored(entry.undoVoidId, true);
+        }
+        undoStack.push(entry);
+        updateButtons();
+        console.log('[Cart] Redone:', entry.label);
+    }
+
+    /**
+     * Describe the next undo and redo steps
+     * @returns {Object} { undo, redo } labels, null when there is nothing to undo/redo
+     */
+    function getHistory() {
+        return {
+            undo: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+            redo: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+        };
+    }
+
+    /**
+     * Price the cart with the discount and promotion rules in effect, then
+     * add taxes and the service charge
+     * @returns {Object} { subtotal, discounts, discountTotal, taxes, taxTotal, netTotal,
+     *   serviceCharge, total, ... } (see Pricing.priceItems and Tax.applyTaxes)
+     */
+    function getPricing() {
+        return Tax.applyTaxes(Pricing.priceItems(items, { manualRuleIds: manualRuleIds }), items);
+    }
+
+    /**
+     * Get cart total price after discounts, taxes and service charge
      * @returns {number} Total price
      */
     function getTotal() {
-        return items.reduce((sum, item) => sum + item.price, 0);
+        return getPricing().total;
+    }
+
+    /**
+     * Get cart price before discounts
+     * @returns {number} Subtotal
+     */
+    function getSubtotal() {
+        return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    }
+
+    /**
+     * Apply or remove a cashier-applied discount for the current order
+     * @param {number} ruleId - Pricing rule ID
+     */
+    function toggleDiscount(ruleId) {
+        const rule = Pricing.getManualRules().find(entry => entry.id === ruleId);
+        if (manualRuleIds.includes(ruleId)) {
+            recordAction(`Remove ${rule ? rule.name : 'discount'}`, null, () => {
+                manualRuleIds = manualRuleIds.filter(id => id !== ruleId);
+            });
+        } else if (rule) {
+            recordAction(`Apply ${rule.name}`, null, () => {
+                manualRuleIds.push(ruleId);
+            });
+        }
     }
 
     /**
      * Get item count
-     * @returns {number} Number of items
+     * @returns {number} Total units across all lines
      */
     function getItemCount() {
-        return items.length;
+        return items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Copy a scan entry, including its candidate list
+     * @param {Object} scan - Scan entry
+     * @returns {Object} Scan copy
+     */
+    function copyScan(scan) {
+        const copy = { ...scan };
+        if (scan.candidates) {
+            copy.candidates = scan.candidates.map(candidate => ({ ...candidate }));
+        }
+        return copy;
+    }
+
+    /**
+     * Copy a line, adding its subtotal
+     * @param {Object} item - Cart line
+     * @returns {Object} Line copy with lineTotal
+     */
+    function copyItem(item) {
+        return {
+            ...item,
+            scans: item.scans.map(copyScan),
+            lineTotal: item.price * item.quantity
+        };
     }
 
     /**
-     * Get all cart items
-     * @returns {Array} Cart items
+     * Get all cart lines
+     * @returns {Array} Cart lines with quantity, lineTotal and scan history
      */
     function getItems() {
-        return [...items];
+        return items.map(copyItem);
     }
 
     /**
      * Get order data for export
-     * @returns {Object} Order data
+     * @returns {Object} Order data with its breakdown: subtotal, each applied
+     *   discount as its own line, tax by rate, service charge and total
      */
     function getOrderData() {
+        const pricing = getPricing();
         return {
-            items: getItems(),
-            total: getTotal(),
+            items: getItems().map(item => ({ ...item, taxRate: Tax.getRate(item) })),
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts,
+            discountTotal: pricing.discountTotal,
+            pricesIncludeTax: pricing.pricesIncludeTax,
+            taxLabel: pricing.taxLabel,
+            taxes: pricing.taxes,
+            taxTotal: pricing.taxTotal,
+            netTotal: pricing.netTotal,
+            serviceChargeRate: pricing.serviceChargeRate,
+            serviceCharge: pricing.serviceCharge,
+            total: pricing.total,
             itemsCount: getItemCount()
         };
     }
@@ -115,25 +444,106 @@ const Cart = (function() {
      * Render cart items in UI
      */
     function renderCart() {
+        const pricing = getPricing();
+        
         if (items.length === 0) {
-            cartItemsElement.innerHTML = '<p class="empty-cart-message">Cart is empty. Start scanning products!</p>';
+            cartItemsElement.innerHTML = '<p class="empty-cart-message">Cart is empty. Scan or tap a product to start!</p>';
         } else {
-            cartItemsElement.innerHTML = items.map(item => `
-                <div class="cart-item" data-item-id="${item.id}">
+            cartItemsElement.innerHTML = items.map(item => {
+                const confidences = item.scans
+                    .map(scan => scan.confidence)
+                    .filter(confidence => confidence !== null);
+                const averageConfidence = confidences.length > 0
+                    ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+                    : null;
+                const pickedCount = item.scans.filter(scan => scan.resolution === 'picked' || scan.resolution === 'manual').length;
+                const manualCount = item.scans.filter(scan => scan.source === 'manual').length;
+                const scanNotes = [];
+                if (averageConfidence !== null) {
+                    scanNotes.push(`${confidences.length} scan${confidences.length === 1 ? '' : 's'} · avg ${Math.round(averageConfidence * 100)}% confidence`);
+                }
+                if (pickedCount > 0) {
+                    scanNotes.push(`${pickedCount} picked by cashier`);
+                }
+                if (manualCount > 0) {
+                    scanNotes.push(`${manualCount} entered by hand`);
+                }
+                
+                return `
+                    <div class="cart-item" data-item-id="${item.id}">
+                        <div class="cart-item-info">
+                            <span class="cart-item-name">${Utils.escapeHtml(item.nameAr)}</span>
+                            <span class="cart-item-name-en">${Utils.escapeHtml(item.nameEn)} · ${item.price} DZD each</span>
+                            ${scanNotes.length > 0 ? `<span class="cart-item-name-en" style="color: var(--accent-warning)">${scanNotes.join(' · ')}</span>` : ''}
+                        </div>
+                        <div class="cart-item-quantity">
+                            <button class="qty-btn" onclick="Cart.decrementItem(${item.id})" title="Remove one">−</button>
+                            <span class="qty-value">${item.quantity}</span>
+                            <button class="qty-btn" onclick="Cart.incrementItem(${item.id})" title="Add one">+</button>
+                        </div>
+                        <span class="cart-item-price">${(item.price * item.quantity).toLocaleString()} DZD</span>
+                        <button class="cart-item-remove" onclick="Cart.removeItem(${item.id})" title="Remove line">×</button>
+                    </div>
+                `;
+            }).join('') + pricing.discounts.map(discount => `
+                <div class="cart-item cart-discount">
                     <div class="cart-item-info">
-                        <span class="cart-item-name">${item.nameAr}</span>
-                        <span class="cart-item-name-en">${item.nameEn}</span>
-                        ${item.confidence ? `<span class="cart-item-name-en" style="color: var(--accent-warning)">${Math.round(item.confidence * 100)}% confidence</span>` : ''}
+                        <span class="cart-item-name">🏷 ${Utils.escapeHtml(discount.name)}</span>
+                        <span class="cart-item-name-en">${Utils.escapeHtml(discount.description)}</span>
                     </div>
-                    <span class="cart-item-price">${item.price} DZD</span>
-                    <button class="cart-item-remove" onclick="Cart.removeItem(${item.id})">×</button>
+                    <span class="cart-item-price">−${discount.amount.toLocaleString()} DZD</span>
                 </div>
             `).join('');
         }
         
+        renderDiscountButtons();
+        
         // Update summary
         cartItemCountElement.textContent = getItemCount();
-        cartTotalElement.textContent = `${getTotal().toLocaleString()} DZD`;
+        cartSubtotalElement.textContent = `${pricing.subtotal.toLocaleString()} DZD`;
+        cartDiscountElement.textContent = `−${pricing.discountTotal.toLocaleString()} DZD`;
+        cartSubtotalRow.classList.toggle('hidden', pricing.discountTotal === 0);
+        cartDiscountRow.classList.toggle('hidden', pricing.discountTotal === 0);
+        cartTaxRowsElement.innerHTML = renderTaxRows(pricing);
+        cartTotalElement.textContent = `${pricing.total.toLocaleString()} DZD`;
+    }
+
+    /**
+     * Build the summary rows for taxes and the service charge
+     * @param {Object} pricing - Cart pricing
+     * @returns {string} HTML
+     */
+    function renderTaxRows(pricing) {
+        if (items.length === 0) {
+            return '';
+        }
+        
+        const included = pricing.pricesIncludeTax ? ' (included)' : '';
+        return `
+            <div class="summary-row tax"><span>Total excl. ${Utils.escapeHtml(pricing.taxLabel)}:</span><span>${pricing.netTotal.toLocaleString()} DZD</span></div>
+            ${pricing.taxes.map(entry => `
+                <div class="summary-row tax">
+                    <span>${Utils.escapeHtml(Tax.formatTaxLabel(entry, pricing.taxLabel))}${included}:</span>
+                    <span>${entry.amount.toLocaleString()} DZD</span>
+                </div>
+            `).join('')}
+            ${pricing.serviceCharge > 0 ? `
+                <div class="summary-row"><span>Service ${pricing.serviceChargeRate}%:</span><span>${pricing.serviceCharge.toLocaleString()} DZD</span></div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Show the cashier-applied discounts as toggle buttons
+     */
+    function renderDiscountButtons() {
+        const manualRules = Pricing.getManualRules();
+        discountButtonsElement.innerHTML = manualRules.map(rule => `
+            <button type="button" class="btn btn-secondary btn-small discount-toggle ${manualRuleIds.includes(rule.id) ? 'selected' : ''}"
+                onclick="Cart.toggleDiscount(${rule.id})" title="${Utils.escapeHtml(Pricing.describeRule(rule))}" ${items.length === 0 ? 'disabled' : ''}>
+                🏷 ${Utils.escapeHtml(rule.name)}
+            </button>
+        `).join('');
     }
 
     /**
@@ -141,8 +551,13 @@ const Cart = (function() {
      */
     function updateButtons() {
         const hasItems = items.length > 0;
+        const history = getHistory();
         clearCartBtn.disabled = !hasItems;
         completeOrderBtn.disabled = !hasItems;
+        undoBtn.disabled = history.undo === null;
+        redoBtn.disabled = history.redo === null;
+        undoBtn.title = history.undo ? `Undo: ${history.undo} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = history.redo ? `Redo: ${history.redo} (Ctrl+Y)` : 'Nothing to redo';
     }
 
     /**
@@ -157,9 +572,20 @@ const Cart = (function() {
     return {
         init,
         addItem,
+        setQuantity,
+        incrementItem,
+        decrementItem,
         removeItem,
+        onItemRemoved,
         clearCart,
+        finishOrder,
+        undo,
+        redo,
+        getHistory,
         getTotal,
+        getSubtotal,
+        getPricing,
+        toggleDiscount,
         getItemCount,
         getItems,
         getOrderData,
@@ -0,0 +1,457 @@
+/**
+ * Catalog Module
+ * Editable product catalog persisted in localStorage
+ * Feeds Detection with the active products and their model class mapping
+ * The catalog manager screen needs a manager's approval
+ */
+
+const Catalog = (function() {
+    'use strict';
+
+    // Products shipped with the app, used until staff edit the catalog
+    const DEFAULT_PRODUCTS = [
+        { id: 1, nameAr: 'قهوة', nameEn: 'Coffee', price: 100, category: 'Hot Drinks', modelClass: 'caffee', taxRate: null, active: true },
+        { id: 2, nameAr: 'ماء', nameEn: 'Water', price: 30, category: 'Cold Drinks', modelClass: 'water', taxRate: null, active: true }
+    ];
+
+    // Storage key
+    const STORAGE_KEY = 'pos_catalog';
+
+    // Private state (array order is the display order)
+    let products = [];
+    let listeners = [];
+
+    // DOM Elements
+    const modalElement = document.getElementById('catalogModal');
+    const listElement = document.getElementById('catalogList');
+    const formElement = document.getElementById('catalogForm');
+    const formTitleElement = document.getElementById('catalogFormTitle');
+    const errorsElement = document.getElementById('catalogErrors');
+    const summaryElement = document.getElementById('catalogSummary');
+    const modelClassOptionsElement = document.getElementById('modelClassOptions');
+    const fields = {
+        id: document.getElementById('catalogProductId'),
+        nameAr: document.getElementById('catalogNameAr'),
+        nameEn: document.getElementById('catalogNameEn'),
+        price: document.getElementById('catalogPrice'),
+        category: document.getElementById('catalogCategory'),
+        taxRate: document.getElementById('catalogTaxRate'),
+        modelClass: document.getElementById('catalogModelClass')
+    };
+
+    /**
+     * Initialize catalog module
+     * Loads the catalog and sets up the manager screen
+     */
+    function init() {
+        loadCatalog();
+
+        document.getElementById('openCatalogBtn').addEventListener('click', async () => {
+            if (await Users.requireManager('Edit the product catalog')) {
+                open();
+            }
+        });
+        document.getElementById('catalogResetBtn').addEventListener('click', resetForm);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        formElement.addEventListener('submit', handleSubmit);
+
+        render();
+        console.log('[Catalog] Module initialized with', products.length, 'products');
+    }
+
+    /**
+     * Load catalog from localStorage, falling back to the default products
+     */
+    function loadCatalog() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                products = JSON.parse(stored);
+                console.log('[Catalog] Loaded from storage');
+                return;
+            }
+        } catch (error) {
+            console.error('[Catalog] Failed to load from storage:', error);
+        }
+        products = DEFAULT_PRODUCTS.map(product => ({ ...product }));
+    }
+
+    /**
+     * Save catalog to localStorage and notify listeners
+     */
+    function saveCatalog() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(products));
+            console.log('[Catalog] Saved to storage');
+        } catch (error) {
+            console.error('[Catalog] Failed to save to storage:', error);
+        }
+        listeners.forEach(listener => listener(getActiveProducts()));
+    }
+
+    /**
+     * Normalize a model class name for comparison
+     * Teachable Machine labels may carry trailing spaces (e.g. "empty ")
+     * @param {string} className - Raw class name
+     * @returns {string} Trimmed, lower-case class name
+     */
+    function normalizeClass(className) {
+        return (className || '').trim().toLowerCase();
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    /**
+     * Get all products in display order
+     * @returns {Array} Products including inactive ones
+     */
+    function getAllProducts() {
+        return products.map(product => ({ ...product }));
+    }
+
+    /**
+     * Get active products in display order
+     * @returns {Array} Active products
+     */
+    function getActiveProducts() {
+        return products.filter(product => product.active).map(product => ({ ...product }));
+    }
+
+    /**
+     * Get product by ID (active or not, so existing orders still resolve)
+     * @param {number} id - Product ID
+     * @returns {Object|null} Product or null
+     */
+    function getProductById(id) {
+        const product = products.find(p => p.id === id);
+        return product ? { ...product } : null;
+    }
+
+    /**
+     * Find the active product mapped to a model class
+     * @param {string} className - Model class label
+     * @returns {Object|null} Product or null
+     */
+    function findByModelClass(className) {
+        const cleanName = normalizeClass(className);
+        if (!cleanName) return null;
+        const product = products.find(p => p.active && normalizeClass(p.modelClass) === cleanName);
+        return product ? { ...product } : null;
+    }
+
+    /**
+     * Get the model classes used by active products
+     * @returns {Array<string>} Model class names
+     */
+    function getModelClasses() {
+        return products
+            .filter(p => p.active && normalizeClass(p.modelClass))
+            .map(p => p.modelClass.trim());
+    }
+
+    // ============================================================================
+    // EDITING
+    // ============================================================================
+
+    /**
+     * Validate product data
+     * @param {Object} data - Product fields
+     * @param {number|null} productId - ID of the product being edited
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    function validateProduct(data, productId = null) {
+        const errors = [];
+
+        if (!data.nameAr || !data.nameAr.trim()) {
+            errors.push('Arabic name is required.');
+        }
+        if (!data.nameEn || !data.nameEn.trim()) {
+            errors.push('English name is required.');
+        }
+        if (typeof data.price !== 'number' || !isFinite(data.price) || data.price < 0) {
+            errors.push('Price must be a number of 0 DZD or more.');
+        }
+        if (data.taxRate !== null && data.taxRate !== undefined && !Tax.isRate(data.taxRate)) {
+            errors.push('Tax rate must be between 0% and 100%, or empty for the default rate.');
+        }
+
+        // Each active model class may map to at most one product
+        const cleanClass = normalizeClass(data.modelClass);
+        if (data.active && cleanClass) {
+            const conflict = products.find(p =>
+                p.id !== productId && p.active && normalizeClass(p.modelClass) === cleanClass
+            );
+            if (conflict) {
+                errors.push(`Model class "${data.modelClass.trim()}" is already mapped to ${conflict.nameEn}.`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Add a new product
+     * @param {Object} data - Product fields
+     * @returns {Object} Result with success and product or errors
+     */
+    function addProduct(data) {
+        const product = {
+            id: products.reduce((max, p) => Math.max(max, p.id), 0) + 1,
+            nameAr: (data.nameAr || '').trim(),
+            nameEn: (data.nameEn || '').trim(),
+            price: data.price,
+            category: (data.category || '').trim(),
+            modelClass: (data.modelClass || '').trim(),
+            taxRate: data.taxRate === undefined ? null : data.taxRate,
+            active: data.active !== false
+        };
+
+        const errors = validateProduct(product);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        products.push(product);
+        saveCatalog();
+        render();
+        console.log('[Catalog] Added product:', product.nameEn);
+        return { success: true, product: { ...product } };
+    }
+
+    /**
+     * Update an existing product
+     * @param {number} id - Product ID
+     * @param {Object} changes - Fields to change
+     * @returns {Object} Result with success and product or errors
+     */
+    function updateProduct(id, changes) {
+        const index = products.findIndex(p => p.id === id);
+        if (index === -1) {
+            return { success: false, errors: ['Product not found.'] };
+        }
+
+        const updated = { ...products[index], ...changes, id: id };
+        ['nameAr', 'nameEn', 'category', 'modelClass'].forEach(key => {
+            updated[key] = (updated[key] || '').trim();
+        });
+
+        const errors = validateProduct(updated, id);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        products[index] = updated;
+        saveCatalog();
+        render();
+        console.log('[Catalog] Updated product:', updated.nameEn);
+        return { success: true, product: { ...updated } };
+    }
+
+    /**
+     * Activate or deactivate a product
+     * @param {number} id - Product ID
+     * @param {boolean} active - New active state
+     * @returns {Object} Result with success or errors
+     */
+    function setActive(id, active) {
+        return updateProduct(id, { active: active });
+    }
+
+    /**
+     * Move a product up or down in the display order
+     * @param {number} id - Product ID
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    function moveProduct(id, direction) {
+        const index = products.findIndex(p => p.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= products.length) {
+            return;
+        }
+
+        [products[index], products[target]] = [products[target], products[index]];
+        saveCatalog();
+        render();
+    }
+
+    /**
+     * Offer the model's class labels as suggestions in the model class field
+     * @param {Array<string>} labels - Model class labels
+     */
+    function setModelClassOptions(labels) {
+        modelClassOptionsElement.innerHTML = labels
+            .map(label => `<option value="${Utils.escapeHtml(label.trim())}">`)
+            .join('');
+    }
+
+    /**
+     * Register a listener called with the active products after each change
+     * @param {Function} listener - Change callback
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // ============================================================================
+    // MANAGER SCREEN
+    // ============================================================================
+
+    /**
+     * Open the catalog manager
+     */
+    function open() {
+        resetForm();
+        render();
+        modalElement.classList.add('visible');
+    }
+
+    /**
+     * Close the catalog manager
+     */
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Render product list and catalog summary
+     */
+    function render() {
+        const escape = Utils.escapeHtml;
+
+        if (products.length === 0) {
+            listElement.innerHTML = '<p class="no-detection">No products yet. Add one below.</p>';
+        } else {
+            listElement.innerHTML = products.map((product, index) => `
+                <div class="catalog-row ${product.active ? '' : 'inactive'}">
+                    <div class="catalog-order">
+                        <button class="icon-btn" onclick="Catalog.moveProduct(${product.id}, -1)" ${index === 0 ? 'disabled' : ''} title="Move up">▲</button>
+                        <button class="icon-btn" onclick="Catalog.moveProduct(${product.id}, 1)" ${index === products.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+                    </div>
+                    <div class="catalog-info">
+                        <span class="cart-item-name" dir="rtl">${escape(product.nameAr)}</span>
+                        <span class="cart-item-name-en">${escape(product.nameEn)}${product.category ? ` · ${escape(product.category)}` : ''}</span>
+                        <span class="cart-item-name-en">Model class: ${product.modelClass ? escape(product.modelClass) : '—'}</span>
+                        <span class="cart-item-name-en">Tax: ${Tax.isRate(product.taxRate) ? `${product.taxRate}%` : `default (${Tax.getSettings().defaultRate}%)`}</span>
+                    </div>
+                    <span class="cart-item-price">${product.price} DZD</span>
+                    <div class="catalog-actions">
+                        <button class="btn btn-secondary btn-small" onclick="Catalog.editProduct(${product.id})">Edit</button>
+                        <button class="btn ${product.active ? 'btn-warning' : 'btn-success'} btn-small" onclick="Catalog.toggleActive(${product.id})">
+                            ${product.active ? 'Deactivate' : 'Activate'}
+                        </button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        if (summaryElement) {
+            const active = getActiveProducts();
+            summaryElement.textContent = active.length > 0
+                ? active.map(p => `${p.nameAr} / ${p.nameEn} - ${p.price} DZD`).join(' | ')
+                : 'No active products';
+        }
+    }
+
+    /**
+     * Load a product into the form for editing
+     * @param {number} id - Product ID
+     */
+    function editProduct(id) {
+        const product = getProductById(id);
+        if (!product) return;
+
+        fields.id.value = product.id;
+        fields.nameAr.value = product.nameAr;
+        fields.nameEn.value = product.nameEn;
+        fields.price.value = product.price;
+        fields.category.value = product.category || '';
+        fields.taxRate.value = Tax.isRate(product.taxRate) ? product.taxRate : '';
+        fields.modelClass.value = product.modelClass || '';
+        formTitleElement.textContent = `Edit ${product.nameEn}`;
+        showErrors([]);
+    }
+
+    /**
+     * Toggle a product's active state from the list
+     * @param {number} id - Product ID
+     */
+    function toggleActive(id) {
+        const product = getProductById(id);
+        if (!product) return;
+
+        const result = setActive(id, !product.active);
+        if (!result.success) {
+            alert(result.errors.join('\n'));
+        }
+    }
+
+    /**
+     * Clear the form back to "add product" mode
+     */
+    function resetForm() {
+        formElement.reset();
+        fields.id.value = '';
+        formTitleElement.textContent = 'Add Product';
+        showErrors([]);
+    }
+
+    /**
+     * Handle form submit for add/edit
+     * @param {Event} event - Submit event
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+
+        const data = {
+            nameAr: fields.nameAr.value,
+            nameEn: fields.nameEn.value,
+            price: fields.price.value === '' ? NaN : Number(fields.price.value),
+            category: fields.category.value,
+            taxRate: fields.taxRate.value === '' ? null : Number(fields.taxRate.value),
+            modelClass: fields.modelClass.value
+        };
+
+        const editingId = fields.id.value ? Number(fields.id.value) : null;
+        const result = editingId ? updateProduct(editingId, data) : addProduct(data);
+
+        if (result.success) {
+            resetForm();
+        } else {
+            showErrors(result.errors);
+        }
+    }
+
+    /**
+     * Show validation errors under the form
+     * @param {Array<string>} errors - Error messages
+     */
+    function showErrors(errors) {
+        errorsElement.innerHTML = errors.map(error => `<p>${Utils.escapeHtml(error)}</p>`).join('');
+        errorsElement.classList.toggle('visible', errors.length > 0);
+    }
+
+    // Public API
+    return {
+        init,
+        getAllProducts,
+        getActiveProducts,
+        getProductById,
+        findByModelClass,
+        getModelClasses,
+        validateProduct,
+        addProduct,
+        updateProduct,
+        setActive,
+        moveProduct,
+        onChange,
+        setModelClassOptions,
+        open,
+        close,
+        editProduct,
+        toggleActive
+    };
+})();
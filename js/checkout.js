@@ -0,0 +1,211 @@
+/**
+ * Checkout Module
+ * Payment capture dialog: payment method, cash tendered and change due
+ */
+
+const Checkout = (function() {
+    'use strict';
+
+    const PAYMENT_METHODS = [
+        { id: 'cash', label: '💵 Cash' },
+        { id: 'card', label: '💳 Card' },
+        { id: 'other', label: '🔁 Other' }
+    ];
+
+    // Banknotes offered as quick tender buttons (DZD)
+    const QUICK_AMOUNTS = [200, 500, 1000, 2000];
+
+    // Private state
+    let currentTotal = 0;
+    let selectedMethod = 'cash';
+    let resolvePayment = null;
+
+    // DOM Elements
+    const modalElement = document.getElementById('checkoutModal');
+    const summaryElement = document.getElementById('checkoutSummary');
+    const methodsElement = document.getElementById('checkoutMethods');
+    const cashFields = document.getElementById('checkoutCashFields');
+    const tenderedInput = document.getElementById('checkoutTendered');
+    const quickAmountsElement = document.getElementById('checkoutQuickAmounts');
+    const changeElement = document.getElementById('checkoutChange');
+    const errorElement = document.getElementById('checkoutError');
+    const confirmBtn = document.getElementById('checkoutConfirmBtn');
+
+    /**
+     * Initialize checkout module
+     */
+    function init() {
+        methodsElement.innerHTML = PAYMENT_METHODS.map(method => `
+            <button type="button" class="method-btn" data-method="${method.id}">${method.label}</button>
+        `).join('');
+        methodsElement.querySelectorAll('.method-btn').forEach(btn => {
+            btn.addEventListener('click', () => selectMethod(btn.dataset.method));
+        });
+
+        tenderedInput.addEventListener('input', update);
+        tenderedInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                confirmPayment();
+            }
+        });
+        confirmBtn.addEventListener('click', confirmPayment);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', cancel);
+        });
+
+        console.log('[Checkout] Module initialized');
+    }
+
+    /**
+     * Get a payment method's display label
+     * @param {string} methodId - Payment method ID
+     * @returns {string} Label
+     */
+    function getMethodLabel(methodId) {
+        const method = PAYMENT_METHODS.find(m => m.id === methodId);
+        return method ? method.label : methodId;
+    }
+
+    /**
+     * Get the supported payment methods
+     * @returns {Array} Payment methods
+     */
+    function getPaymentMethods() {
+        return PAYMENT_METHODS.map(method => ({ ...method }));
+    }
+
+    /**
+     * Open the checkout dialog
+     * @param {Object} orderData - Order data from Cart.getOrderData()
+     * @returns {Promise<Object|null>} Payment { method, tendered, change } or null if cancelled
+     */
+    function open(orderData) {
+        if (resolvePayment) {
+            resolvePayment(null);
+        }
+
+        currentTotal = orderData.total;
+        summaryElement.innerHTML = `
+            <div class="summary-row"><span>Items:</span><span>${orderData.itemsCount}</span></div>
+            ${orderData.discountTotal > 0 ? `
+                <div class="summary-row"><span>Subtotal:</span><span>${orderData.subtotal.toLocaleString()} DZD</span></div>
+                <div class="summary-row discount"><span>Discounts:</span><span>−${orderData.discountTotal.toLocaleString()} DZD</span></div>
+            ` : ''}
+            ${!orderData.pricesIncludeTax && orderData.taxTotal > 0 ? `
+                <div class="summary-row"><span>${Utils.escapeHtml(orderData.taxLabel)}:</span><span>${orderData.taxTotal.toLocaleString()} DZD</span></div>
+            ` : ''}
+            ${orderData.serviceCharge > 0 ? `
+                <div class="summary-row"><span>Service ${orderData.serviceChargeRate}%:</span><span>${orderData.serviceCharge.toLocaleString()} DZD</span></div>
+            ` : ''}
+            <div class="summary-row total"><span>Total:</span><span>${currentTotal.toLocaleString()} DZD</span></div>
+        `;
+
+        const amounts = [currentTotal, ...QUICK_AMOUNTS.filter(amount => amount > currentTotal)];
+        quickAmountsElement.innerHTML = amounts.map((amount, index) => `
+            <button type="button" class="btn btn-secondary btn-small" data-amount="${amount}">
+                ${index === 0 ? 'Exact' : `${amount.toLocaleString()} DZD`}
+            </button>
+        `).join('');
+        quickAmountsElement.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                tenderedInput.value = btn.dataset.amount;
+                update();
+            });
+        });
+
+        tenderedInput.value = '';
+        selectMethod('cash');
+        modalElement.classList.add('visible');
+        tenderedInput.focus();
+
+        return new Promise(resolve => {
+            resolvePayment = resolve;
+        });
+    }
+
+    /**
+     * Select a payment method
+     * @param {string} methodId - Payment method ID
+     */
+    function selectMethod(methodId) {
+        selectedMethod = methodId;
+        methodsElement.querySelectorAll('.method-btn').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.method === methodId);
+        });
+        cashFields.classList.toggle('hidden', methodId !== 'cash');
+        update();
+    }
+
+    /**
+     * Build the payment from the dialog's current state
+     * @returns {Object} { payment, error }
+     */
+    function readPayment() {
+        if (selectedMethod !== 'cash') {
+            return {
+                payment: { method: selectedMethod, tendered: currentTotal, change: 0 },
+                error: null
+            };
+        }
+
+        const tendered = Number(tenderedInput.value);
+        if (tenderedInput.value === '' || !isFinite(tendered)) {
+            return { payment: null, error: 'Enter the cash amount received.' };
+        }
+        if (tendered < currentTotal) {
+            return {
+                payment: null,
+                error: `Under-payment: ${(currentTotal - tendered).toLocaleString()} DZD still due.`
+            };
+        }
+
+        return {
+            payment: { method: 'cash', tendered: tendered, change: tendered - currentTotal },
+            error: null
+        };
+    }
+
+    /**
+     * Refresh change due and the confirm button
+     */
+    function update() {
+        const { payment, error } = readPayment();
+
+        changeElement.textContent = payment ? `${payment.change.toLocaleString()} DZD` : '—';
+        confirmBtn.disabled = !payment;
+
+        // Only complain once the cashier has typed something
+        const showError = error && !(selectedMethod === 'cash' && tenderedInput.value === '');
+        errorElement.textContent = showError ? error : '';
+        errorElement.classList.toggle('visible', Boolean(showError));
+    }
+
+    function confirmPayment() {
+        const { payment } = readPayment();
+        if (!payment) return;
+
+        finish(payment);
+        console.log('[Checkout] Payment captured:', payment.method, payment.tendered);
+    }
+
+    function cancel() {
+        finish(null);
+    }
+
+    function finish(payment) {
+        modalElement.classList.remove('visible');
+        if (resolvePayment) {
+            const resolve = resolvePayment;
+            resolvePayment = null;
+            resolve(payment);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        getMethodLabel,
+        getPaymentMethods
+    };
+})();
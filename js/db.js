@@ -0,0 +1,129 @@
+/**
+ * DB Module
+ * Thin promise wrapper around the app's IndexedDB database
+ * Object stores are declared in STORES and created on upgrade
+ */
+
+const DB = (function() {
+    'use strict';
+
+    const DB_NAME = 'pos_db';
+    const DB_VERSION = 5;
+
+    // Object store name → options; bump DB_VERSION when adding a store
+    const STORES = {
+        models: { keyPath: 'id' },
+        orders: { keyPath: 'orderId' },
+        shifts: { keyPath: 'shiftId' },
+        samples: { keyPath: 'id' },
+        voids: { keyPath: 'id' }
+    };
+
+    let dbPromise = null;
+
+    /**
+     * Open the database (once) and create missing stores
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    function open() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.keys(STORES).forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, STORES[name]);
+                        console.log('[DB] Created store:', name);
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async function run(storeName, mode, operation) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record to store
+     * @returns {Promise<*>} Record key
+     */
+    function put(storeName, value) {
+        return run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} Record
+     */
+    function get(storeName, key) {
+        return run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} Records in key order
+     */
+    function getAll(storeName) {
+        return run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<void>}
+     */
+    function remove(storeName, key) {
+        return run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    // Public API
+    return {
+        open,
+        put,
+        get,
+        getAll,
+        remove
+    };
+})();
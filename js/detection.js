@@ -3,80 +3,202 @@
  * Custom Coffee, Water & Empty Detection using TensorFlow.js Teachable Machine Model
  * 
  * Model trained with 3 classes:
- * - caffee → Coffee (قهوة) - 100 DZD
- * - water → Water (ماء) - 30 DZD
+ * - caffee → Coffee (قهوة)
+ * - water → Water (ماء)
  * - empty → (ignored, no product)
+ *
+ * Class labels and input size are read from model/metadata.json
+ * Products and prices come from the Catalog module (class → product mapping)
+ *
+ * Two model types are supported, chosen by metadata.modelType:
+ * - 'classifier' (default): a Teachable Machine layers model, one product per frame
+ * - 'detector': an object-detection graph model (SSD or YOLO exported to
+ *   TensorFlow.js) returning a box per item, so a tray of several products
+ *   is scanned at once
  */
 
 const Detection = (function() {
     'use strict';
 
-    // ============================================================================
-    // PRODUCT CATALOG
-    // ============================================================================
-    const PRODUCTS = [
-        { id: 1, nameAr: 'قهوة', nameEn: 'Coffee', price: 100, modelClass: 'caffee' },
-        { id: 2, nameAr: 'ماء', nameEn: 'Water', price: 30, modelClass: 'water' }
-    ];
-
     // ============================================================================
     // DETECTION SETTINGS
     // ============================================================================
-    const MIN_CONFIDENCE = 0.5; // 50% minimum confidence
-    const IMAGE_SIZE = 224;
+    // Confidence thresholds, scan interval and smoothing are per-device
+    // values read live from the Settings module
+    const DEFAULT_IMAGE_SIZE = 224;
+    const EMPTY_CLASS = 'empty';
+    const MODEL_URL = './model/model.json';
+    const METADATA_URL = './model/metadata.json';
 
     // ============================================================================
     // MODEL STATE
     // ============================================================================
     let model = null;
     let modelLoading = false;
+    let loadingPromise = null;
     let modelLoaded = false;
+    let modelVersion = { id: 'bundled', name: 'Bundled model', origin: 'bundled', modelType: 'classifier', format: null };
+    let labels = [];
+    let imageSize = DEFAULT_IMAGE_SIZE;
+    let detector = null; // Detector settings, null for classifier models
 
     // ============================================================================
     // MAP MODEL CLASS TO PRODUCT
     // ============================================================================
     function mapClassToProduct(className) {
-        // Handle class names (trim spaces, case insensitive)
-        const cleanName = className.trim().toLowerCase();
-        return PRODUCTS.find(p => p.modelClass.trim().toLowerCase() === cleanName) || null;
+        // Catalog handles trimming and case-insensitive matching
+        return Catalog.findByModelClass(className);
+    }
+
+    function normalizeLabel(label) {
+        return (label || '').trim().toLowerCase();
+    }
+
+    function isEmptyClass(className) {
+        return normalizeLabel(className) === EMPTY_CLASS;
+    }
+
+    /**
+     * Check the catalog's model classes against the loaded labels
+     * @returns {Object} { valid, unmatched: [{ product, modelClass }] }
+     */
+    function validateCatalogMapping() {
+        const knownLabels = labels.map(normalizeLabel);
+        const unmatched = getProducts()
+            .filter(p => p.modelClass && !knownLabels.includes(normalizeLabel(p.modelClass)))
+            .map(p => ({ product: p, modelClass: p.modelClass }));
+
+        return {
+            valid: unmatched.length === 0,
+            unmatched: unmatched
+        };
     }
 
     // ============================================================================
     // MODEL LOADING
     // ============================================================================
-    async function loadModel() {
-        if (modelLoaded) {
+    /**
+     * Load a model version
+     * Without a source, loads the bundled ./model/ files once. With a source
+     * (from ModelRegistry), the new model replaces the current one; the old
+     * model keeps serving until the new one is ready and is then disposed.
+     * A load requested while another is in flight waits for it, then runs.
+     * @param {Object} source - { id, name, model: URL|IOHandler, metadata }
+     * @returns {Promise<boolean>} True when the requested model is ready
+     */
+    async function loadModel(source = null) {
+        if (modelLoaded && !source) {
             console.log('[Detection] Model already loaded');
             return true;
         }
         
         if (modelLoading) {
-            console.log('[Detection] Model already loading...');
-            return false;
+            console.log('[Detection] Model already loading, waiting for it...');
+            await loadingPromise.catch(() => {});
+            return loadModel(source);
         }
         
         modelLoading = true;
-        console.log('[Detection] Loading custom model...');
+        loadingPromise = loadSource(source);
+        try {
+            return await loadingPromise;
+        } finally {
+            modelLoading = false;
+        }
+    }
+
+    /**
+     * Load a model version and make it the current model
+     * @param {Object|null} source - Version from ModelRegistry, or null for ./model/
+     * @returns {Promise<boolean>} True once the model is ready
+     */
+    async function loadSource(source) {
+        console.log('[Detection] Loading custom model...', source ? source.name : '');
         
         try {
             if (typeof tf === 'undefined') {
                 throw new Error('TensorFlow.js not loaded');
             }
             
-            model = await tf.loadLayersModel('./model/model.json');
+            const metadata = source ? source.metadata : await loadMetadata(METADATA_URL);
+            validateMetadata(metadata);
+            const detectorSettings = getDetectorSettings(metadata);
+            
+            let loadedModel;
+            if (detectorSettings) {
+                loadedModel = await tf.loadGraphModel(source ? source.model : MODEL_URL);
+            } else {
+                loadedModel = await tf.loadLayersModel(source ? source.model : MODEL_URL);
+                
+                // The model's output units must line up with the metadata labels
+                const outputUnits = loadedModel.outputs[0].shape[1];
+                if (outputUnits !== metadata.labels.length) {
+                    loadedModel.dispose();
+                    throw new Error(`Model outputs ${outputUnits} classes but metadata lists ${metadata.labels.length} labels`);
+                }
+            }
+            
+            const previousModel = model;
+            model = loadedModel;
+            labels = metadata.labels;
+            detector = detectorSettings;
+            imageSize = metadata.imageSize || (detector ? detector.defaultImageSize : DEFAULT_IMAGE_SIZE);
+            modelVersion = {
+                id: source ? source.id : 'bundled',
+                name: source ? source.name : 'Bundled model',
+                origin: source ? source.origin : 'bundled',
+                modelType: metadata.modelType || 'classifier',
+                format: detectorSettings ? detectorSettings.format : null
+            };
+            // Averages and scores from the old model's label order are meaningless now
+            resetStability();
+            lastFrame = null;
+            
+            if (previousModel) {
+                previousModel.dispose();
+                console.log('[Detection] Previous model disposed');
+            }
             
             modelLoaded = true;
-            modelLoading = false;
-            console.log('[Detection] Custom model loaded successfully');
+            console.log('[Detection] Custom model loaded successfully:', modelVersion.name);
             return true;
             
         } catch (error) {
             console.error('[Detection] Failed to load model:', error);
-            modelLoading = false;
             throw error;
         }
     }
 
+    /**
+     * Fetch Teachable Machine metadata (labels, imageSize)
+     * @param {string} url - metadata.json URL
+     * @returns {Promise<Object>} Parsed metadata
+     */
+    async function loadMetadata(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load model metadata (HTTP ${response.status})`);
+        }
+        
+        return response.json();
+    }
+
+    function validateMetadata(metadata) {
+        if (!metadata || !Array.isArray(metadata.labels) || metadata.labels.length === 0) {
+            throw new Error('Model metadata has no class labels');
+        }
+        if (metadata.modelType && !['classifier', 'detector'].includes(metadata.modelType)) {
+            throw new Error(`Unknown model type "${metadata.modelType}"`);
+        }
+        if (metadata.modelType === 'detector' && !DETECTOR_FORMATS[metadata.format]) {
+            throw new Error(`Unknown detector format "${metadata.format}" (expected ${Object.keys(DETECTOR_FORMATS).join(' or ')})`);
+        }
+    }
+
+    function isObjectDetector() {
+        return detector !== null;
+    }
+
     function isModelLoaded() {
         return modelLoaded;
     }
@@ -85,110 +207,523 @@ const Detection = (function() {
         return {
             loaded: modelLoaded,
             loading: modelLoading,
-            modelType: 'Teachable Machine Custom',
-            classes: ['caffee → Coffee', 'water → Water', 'empty → Ignore'],
-            products: PRODUCTS.map(p => `${p.nameAr} / ${p.nameEn} - ${p.price} DZD`)
+            modelType: detector ? `Object Detector (${detector.format.toUpperCase()})` : 'Teachable Machine Custom',
+            detector: detector !== null,
+            version: { ...modelVersion },
+            classes: describeClasses(),
+            labels: getLabels(),
+            imageSize: imageSize,
+            products: getProducts().map(p => `${p.nameAr} / ${p.nameEn} - ${p.price} DZD`)
         };
     }
 
+    function getLabels() {
+        return labels.map(label => label.trim());
+    }
+
+    function describeClasses() {
+        return labels.map(label => {
+            if (isEmptyClass(label)) {
+                return `${label.trim()} → Ignore`;
+            }
+            const product = mapClassToProduct(label);
+            return `${label.trim()} → ${product ? product.nameEn : 'Unmapped'}`;
+        });
+    }
+
     // ============================================================================
     // PRODUCT QUERY FUNCTIONS
     // ============================================================================
     function getProducts() {
-        return PRODUCTS;
+        return Catalog.getActiveProducts();
     }
 
     function getProductById(id) {
-        return PRODUCTS.find(p => p.id === id) || null;
+        return Catalog.getProductById(id);
     }
 
     // ============================================================================
     // IMAGE PREPROCESSING
     // ============================================================================
+    // Matches Teachable Machine: a square center crop (of the scan zone, or of
+    // the whole frame), bilinear resize to the model's input size and pixels
+    // scaled to MobileNet's [-1, 1] range
+    const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+    /**
+     * Get the region of a frame that is fed to the model: the largest square
+     * centered in the scan zone, or the whole zone for object detectors
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @returns {Object} { x, y, width, height } in pixels
+     */
+    function getCropRegion(width, height) {
+        const zone = Settings.get('scanZone') || FULL_FRAME;
+        const zoneWidth = zone.width * width;
+        const zoneHeight = zone.height * height;
+        
+        if (detector) {
+            return {
+                x: Math.round(zone.x * width),
+                y: Math.round(zone.y * height),
+                width: Math.round(zoneWidth),
+                height: Math.round(zoneHeight)
+            };
+        }
+        
+        const size = Math.floor(Math.min(zoneWidth, zoneHeight));
+        
+        return {
+            x: Math.round(zone.x * width + (zoneWidth - size) / 2),
+            y: Math.round(zone.y * height + (zoneHeight - size) / 2),
+            width: size,
+            height: size
+        };
+    }
+
+    /**
+     * Crop the model's region out of a frame and resize it (bilinear)
+     * @param {ImageData|ImageBitmap|HTMLVideoElement} source - Image
+     * @returns {tf.Tensor4D} [1, imageSize, imageSize, 3] pixels in 0–255
+     */
+    function cropToInput(source) {
+        const tf = window.tf;
+        return tf.tidy(() => {
+            const pixels = tf.browser.fromPixels(source).toFloat();
+            const [height, width] = pixels.shape;
+            const crop = getCropRegion(width, height);
+            
+            // cropAndResize takes normalized [y1, x1, y2, x2] boxes
+            const box = [[
+                crop.y / height,
+                crop.x / width,
+                (crop.y + crop.height) / height,
+                (crop.x + crop.width) / width
+            ]];
+            return tf.image.cropAndResize(pixels.expandDims(0), box, [0], [imageSize, imageSize], 'bilinear');
+        });
+    }
+
     function preprocessImage(source) {
         const tf = window.tf;
-        let tensor = tf.browser.fromPixels(source)
-            .resizeNearestNeighbor([IMAGE_SIZE, IMAGE_SIZE])
-            .toFloat();
-        tensor = tensor.div(255.0);
-        tensor = tensor.expandDims(0);
-        return tensor;
+        return tf.tidy(() => cropToInput(source).div(127.5).sub(1));
     }
 
     // ============================================================================
-    // DETECTION FUNCTIONS
+    // OBJECT DETECTOR MODELS
     // ============================================================================
-    async function detectObjects(videoElement) {
+    // metadata.json for a detector: { modelType: 'detector', format: 'ssd'|'yolo',
+    // labels, imageSize?, classOffset?, maxDetections?, iouThreshold?, outputNames? }
+    // Boxes are found in the scan zone and mapped back to video pixels
+    const DETECTOR_FORMATS = {
+        // TF Object Detection API export: int32 pixels in, post-processed boxes out
+        ssd: {
+            defaultImageSize: 300,
+            classOffset: 1, // Class IDs are 1-based (0 is background)
+            outputNames: ['detection_boxes', 'detection_scores', 'detection_classes']
+        },
+        // Ultralytics YOLO export: 0–1 floats in, [1, 4 + classes, anchors] out
+        yolo: {
+            defaultImageSize: 640,
+            classOffset: 0,
+            outputNames: null
+        }
+    };
+    const DEFAULT_MAX_DETECTIONS = 20;
+    const DEFAULT_IOU_THRESHOLD = 0.45;
+
+    /**
+     * Read the detector settings from model metadata
+     * @param {Object} metadata - Model metadata
+     * @returns {Object|null} Detector settings, or null for classifier models
+     */
+    function getDetectorSettings(metadata) {
+        if (metadata.modelType !== 'detector') {
+            return null;
+        }
+        
+        const format = DETECTOR_FORMATS[metadata.format];
+        return {
+            format: metadata.format,
+            defaultImageSize: format.defaultImageSize,
+            classOffset: typeof metadata.classOffset === 'number' ? metadata.classOffset : format.classOffset,
+            maxDetections: metadata.maxDetections || DEFAULT_MAX_DETECTIONS,
+            iouThreshold: metadata.iouThreshold || DEFAULT_IOU_THRESHOLD,
+            outputNames: metadata.outputNames || format.outputNames
+        };
+    }
+
+    /**
+     * Lowest confidence any class can be accepted at
+     * @returns {number} Threshold
+     */
+    function getLowestThreshold() {
+        return Math.min(
+            Settings.get('minConfidence'),
+            ...Object.values(Settings.get('classThresholds'))
+        );
+    }
+
+    /**
+     * Run the detector on one video frame
+     * @param {HTMLVideoElement} videoElement - Video feed
+     * @returns {Promise<Array|null>} Raw boxes [{ classIndex, score, box: { x, y, width, height } }]
+     *   in video pixels, or null if no frame yet
+     */
+    async function detectBoxes(videoElement) {
         if (!modelLoaded || !model) {
             throw new Error('Model not loaded');
         }
         
         if (!videoElement || videoElement.readyState < 2) {
-            return [];
+            return null;
         }
         
+        const startTime = performance.now();
+        const videoWidth = videoElement.videoWidth || 640;
+        const videoHeight = videoElement.videoHeight || 480;
+        const region = getCropRegion(videoWidth, videoHeight);
+        
+        const input = tf.tidy(() => detector.format === 'ssd'
+            ? cropToInput(videoElement).toInt()
+            : cropToInput(videoElement).div(255));
+        let outputs;
         try {
-            const inputTensor = preprocessImage(videoElement);
-            const prediction = model.predict(inputTensor);
-            const probabilities = await prediction.data();
-            
-            // Find the class with highest probability
-            let maxProb = 0;
-            let maxIndex = 0;
-            for (let i = 0; i < probabilities.length; i++) {
-                if (probabilities[i] > maxProb) {
-                    maxProb = probabilities[i];
-                    maxIndex = i;
+            outputs = await model.executeAsync(input, detector.outputNames || undefined);
+        } finally {
+            input.dispose();
+        }
+        
+        let raw;
+        try {
+            raw = detector.format === 'ssd'
+                ? await decodeSsd(outputs)
+                : await decodeYolo(Array.isArray(outputs) ? outputs[0] : outputs);
+        } finally {
+            tf.dispose(outputs);
+        }
+        
+        // Normalized zone coordinates → video pixels
+        const boxes = raw
+            .filter(entry => entry.classIndex >= 0 && entry.classIndex < labels.length)
+            .map(entry => ({
+                classIndex: entry.classIndex,
+                score: entry.score,
+                box: {
+                    x: region.x + entry.x1 * region.width,
+                    y: region.y + entry.y1 * region.height,
+                    width: (entry.x2 - entry.x1) * region.width,
+                    height: (entry.y2 - entry.y1) * region.height
                 }
+            }));
+        
+        // Publish the best score per class like a classifier frame
+        const bestScores = labels.map((label, index) => Math.max(0, ...boxes
+            .filter(entry => entry.classIndex === index)
+            .map(entry => entry.score)));
+        recordFrame(bestScores, performance.now() - startTime);
+        
+        return boxes;
+    }
+
+    /**
+     * Decode post-processed SSD outputs
+     * @param {Array<tf.Tensor>} outputs - [boxes [1,N,4], scores [1,N], classes [1,N]]
+     * @returns {Promise<Array>} [{ classIndex, score, x1, y1, x2, y2 }] normalized
+     */
+    async function decodeSsd(outputs) {
+        const [boxes, scores, classes] = await Promise.all(outputs.map(tensor => tensor.data()));
+        const threshold = getLowestThreshold();
+        const results = [];
+        
+        for (let i = 0; i < scores.length && results.length < detector.maxDetections; i++) {
+            if (scores[i] < threshold) continue;
+            results.push({
+                classIndex: Math.round(classes[i]) - detector.classOffset,
+                score: scores[i],
+                y1: boxes[i * 4],
+                x1: boxes[i * 4 + 1],
+                y2: boxes[i * 4 + 2],
+                x2: boxes[i * 4 + 3]
+            });
+        }
+        
+        return results;
+    }
+
+    /**
+     * Decode raw YOLO outputs with non-max suppression
+     * @param {tf.Tensor} output - [1, 4 + classes, anchors] (or transposed)
+     * @returns {Promise<Array>} [{ classIndex, score, x1, y1, x2, y2 }] normalized
+     */
+    async function decodeYolo(output) {
+        const classCount = labels.length;
+        const [boxes, scores, classIndices] = tf.tidy(() => {
+            let rows = output.squeeze([0]);
+            if (rows.shape[0] === 4 + classCount) {
+                rows = rows.transpose();
             }
             
-            const confidence = maxProb;
-            
-            // Get class name from metadata
-            const classNames = ['caffee', 'water', 'empty'];
-            const className = classNames[maxIndex] || 'unknown';
-            
-            tf.dispose([inputTensor, prediction]);
+            // Centre/size in input pixels → normalized [y1, x1, y2, x2]
+            const [cx, cy, w, h] = tf.split(rows.slice([0, 0], [-1, 4]), 4, 1);
+            const corners = tf.concat([
+                cy.sub(h.div(2)), cx.sub(w.div(2)),
+                cy.add(h.div(2)), cx.add(w.div(2))
+            ], 1).div(imageSize).clipByValue(0, 1);
             
-            console.log('[Detection] Prediction:', className, confidence.toFixed(2));
+            const classScores = rows.slice([0, 4], [-1, classCount]);
+            return [corners, classScores.max(1), classScores.argMax(1)];
+        });
+        
+        try {
+            const keep = await tf.image.nonMaxSuppressionAsync(
+                boxes, scores, detector.maxDetections, detector.iouThreshold, getLowestThreshold());
+            const [keptIndices, boxData, scoreData, classData] = await Promise.all([
+                keep.data(), boxes.data(), scores.data(), classIndices.data()
+            ]);
+            keep.dispose();
             
-            // Skip if confidence too low
-            if (confidence < MIN_CONFIDENCE) {
-                return [];
+            return Array.from(keptIndices).map(i => ({
+                classIndex: classData[i],
+                score: scoreData[i],
+                y1: boxData[i * 4],
+                x1: boxData[i * 4 + 1],
+                y2: boxData[i * 4 + 2],
+                x2: boxData[i * 4 + 3]
+            }));
+        } finally {
+            tf.dispose([boxes, scores, classIndices]);
+        }
+    }
+
+    /**
+     * Detect every product in a frame
+     * @param {HTMLVideoElement} videoElement - Video feed
+     * @returns {Promise<Array>} Detections above their class threshold, best first
+     */
+    async function detectProducts(videoElement) {
+        const boxes = await detectBoxes(videoElement);
+        if (!boxes) {
+            return [];
+        }
+        
+        return boxes
+            .filter(entry => entry.score >= Settings.getClassThreshold(labels[entry.classIndex]))
+            .sort((a, b) => b.score - a.score)
+            .map(entry => buildDetection(entry.classIndex, entry.score, videoElement, entry.box))
+            .filter(detection => detection !== null);
+    }
+
+    // ============================================================================
+    // FEATURE EXTRACTION
+    // ============================================================================
+    // Teachable Machine image models are two stages: a feature extractor
+    // (truncated MobileNet + pooling) and a small classification head.
+    // On-device training keeps the extractor and trains a new head.
+
+    /**
+     * Get the feature extractor stage of the loaded model
+     * @returns {tf.LayersModel} Feature extractor
+     */
+    function getFeatureExtractor() {
+        if (!modelLoaded || !model) {
+            throw new Error('Model not loaded');
+        }
+        if (detector) {
+            throw new Error('Object detector models cannot be fine-tuned on this device');
+        }
+        
+        const extractor = model.layers[0];
+        if (model.layers.length !== 2 || !(extractor instanceof tf.LayersModel)) {
+            throw new Error('The active model is not a Teachable Machine image model and cannot be fine-tuned');
+        }
+        return extractor;
+    }
+
+    /**
+     * Compute the feature vector of an image, preprocessed exactly like a scan
+     * @param {ImageData|ImageBitmap|HTMLVideoElement} source - Image
+     * @returns {Promise<Float32Array>} Features
+     */
+    async function extractFeatures(source) {
+        const extractor = getFeatureExtractor();
+        const features = tf.tidy(() => extractor.predict(preprocessImage(source)));
+        const data = await features.data();
+        features.dispose();
+        return data;
+    }
+
+    // ============================================================================
+    // DETECTION FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Run the classifier on one video frame
+     * @param {HTMLVideoElement} videoElement - Video feed
+     * @returns {Promise<Array<number>|null>} Class probabilities (label order) or null if no frame yet
+     */
+    async function classifyFrame(videoElement) {
+        if (!modelLoaded || !model) {
+            throw new Error('Model not loaded');
+        }
+        if (detector) {
+            throw new Error('The active model is an object detector, not a classifier');
+        }
+        
+        if (!videoElement || videoElement.readyState < 2) {
+            return null;
+        }
+        
+        const startTime = performance.now();
+        const inputTensor = preprocessImage(videoElement);
+        const prediction = model.predict(inputTensor);
+        const probabilities = Array.from(await prediction.data());
+        tf.dispose([inputTensor, prediction]);
+        
+        recordFrame(probabilities, performance.now() - startTime);
+        return probabilities;
+    }
+
+    // ============================================================================
+    // CLASS SCORES
+    // ============================================================================
+    // Every inference (single scan or continuous) is published with the full
+    // probability distribution and its latency, for debugging and the live
+    // probability panel
+    let lastFrame = null;
+    let frameListeners = [];
+
+    /**
+     * Describe every class score of a prediction
+     * @param {Array<number>} probabilities - Class probabilities (label order)
+     * @returns {Array} [{ label, probability, product, isEmpty }] in label order
+     */
+    function getClassScores(probabilities) {
+        return probabilities.map((probability, index) => {
+            const label = (labels[index] || '').trim();
+            return {
+                label: label,
+                probability: probability,
+                product: isEmptyClass(label) ? null : mapClassToProduct(label),
+                isEmpty: isEmptyClass(label)
+            };
+        });
+    }
+
+    /**
+     * Store and publish a frame's scores
+     * @param {Array<number>} probabilities - Class probabilities
+     * @param {number} latencyMs - Preprocessing + inference time
+     */
+    function recordFrame(probabilities, latencyMs) {
+        lastFrame = {
+            scores: getClassScores(probabilities),
+            latencyMs: latencyMs,
+            timestamp: new Date().toISOString()
+        };
+        frameListeners.forEach(listener => listener(getLastFrame()));
+    }
+
+    /**
+     * Get the scores of the most recent inference
+     * @returns {Object|null} { scores, latencyMs, timestamp }
+     */
+    function getLastFrame() {
+        return lastFrame
+            ? { ...lastFrame, scores: lastFrame.scores.map(score => ({ ...score })) }
+            : null;
+    }
+
+    /**
+     * Register a listener called after every inference
+     * @param {Function} listener - Receives { scores, latencyMs, timestamp }
+     */
+    function onFrame(listener) {
+        frameListeners.push(listener);
+    }
+
+    /**
+     * Classify the current video frame and return all class scores
+     * @returns {Promise<Object|null>} { scores, latencyMs, timestamp } or null if no frame yet
+     */
+    async function classifyWithScores() {
+        const videoElement = document.getElementById('videoFeed');
+        const result = detector ? await detectBoxes(videoElement) : await classifyFrame(videoElement);
+        return result ? getLastFrame() : null;
+    }
+
+    /**
+     * Find the most likely class
+     * @param {Array<number>} probabilities - Class probabilities
+     * @returns {Object} { index, confidence }
+     */
+    function argMax(probabilities) {
+        let maxIndex = 0;
+        for (let i = 1; i < probabilities.length; i++) {
+            if (probabilities[i] > probabilities[maxIndex]) {
+                maxIndex = i;
+            }
+        }
+        return { index: maxIndex, confidence: probabilities[maxIndex] };
+    }
+
+    /**
+     * Build a detection result for a class
+     * @param {number} classIndex - Label index
+     * @param {number} confidence - Class confidence
+     * @param {HTMLVideoElement} videoElement - Video feed (for the box size)
+     * @param {Object} box - Detector box in video pixels (classifiers use the crop)
+     * @returns {Object|null} Detection, or null for "empty" and unmapped classes
+     */
+    function buildDetection(classIndex, confidence, videoElement, box = null) {
+        // Get class name from metadata
+        const className = labels[classIndex] !== undefined ? labels[classIndex].trim() : 'unknown';
+        
+        // Skip "empty" class - no product
+        if (isEmptyClass(className)) {
+            return null;
+        }
+        
+        // Map to product
+        const product = mapClassToProduct(className);
+        if (!product) {
+            return null;
+        }
+        
+        // A classifier sees the whole crop, so its box is the crop itself
+        const videoWidth = videoElement.videoWidth || 640;
+        const videoHeight = videoElement.videoHeight || 480;
+        
+        return {
+            product: product,
+            className: className,
+            confidence: confidence,
+            displayName: `${product.nameAr} / ${product.nameEn}`,
+            boundingBox: box || getCropRegion(videoWidth, videoHeight)
+        };
+    }
+
+    async function detectObjects(videoElement) {
+        try {
+            if (detector) {
+                return await detectProducts(videoElement);
             }
             
-            // Skip "empty" class - no product
-            if (className === 'empty') {
-                console.log('[Detection] Detected empty, ignoring');
+            const probabilities = await classifyFrame(videoElement);
+            if (!probabilities) {
                 return [];
             }
             
-            // Map to product
-            const product = mapClassToProduct(className);
+            const { index, confidence } = argMax(probabilities);
+            console.log('[Detection] Prediction:', labels[index], confidence.toFixed(2));
             
-            if (product) {
-                const videoWidth = videoElement.videoWidth || 640;
-                const videoHeight = videoElement.videoHeight || 480;
-                
-                const boxSize = Math.min(videoWidth, videoHeight) * 0.6;
-                const boxX = (videoWidth - boxSize) / 2;
-                const boxY = (videoHeight - boxSize) / 2;
-                
-                return [{
-                    product: product,
-                    className: className,
-                    confidence: confidence,
-                    displayName: `${product.nameAr} / ${product.nameEn}`,
-                    boundingBox: {
-                        x: boxX,
-                        y: boxY,
-                        width: boxSize,
-                        height: boxSize
-                    }
-                }];
+            // Skip if confidence too low
+            if (confidence < Settings.getClassThreshold(labels[index])) {
+                return [];
             }
             
-            return [];
+            const detection = buildDetection(index, confidence, videoElement);
+            return detection ? [detection] : [];
             
         } catch (error) {
             console.error('[Detection] Inference error:', error);
@@ -219,13 +754,173 @@ const Detection = (function() {
         return detections;
     }
 
+    /**
+     * Rank the catalog products by their class probability
+     * @param {Array<number>} probabilities - Class probabilities
+     * @param {number} limit - Maximum number of candidates
+     * @returns {Array} [{ product, className, confidence }], most likely first
+     */
+    function rankCandidates(probabilities, limit = 3) {
+        return probabilities
+            .map((confidence, index) => ({
+                className: (labels[index] || '').trim(),
+                confidence: confidence
+            }))
+            .filter(entry => !isEmptyClass(entry.className))
+            .map(entry => ({ ...entry, product: mapClassToProduct(entry.className) }))
+            .filter(entry => entry.product)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, limit);
+    }
+
+    /**
+     * Scan one frame and sort the result into confidence bands:
+     * 'auto' (at or above the auto-add threshold), 'confirm' (between the class
+     * threshold and the auto-add threshold), 'unrecognized' (below) or 'empty'
+     * Object detectors return 'multi' with every detected item, or 'empty'
+     * @returns {Promise<Object>} { outcome, detections, candidates }
+     */
+    async function scanWithCandidates() {
+        if (!modelLoaded) {
+            await loadModel();
+        }
+        
+        const videoElement = document.getElementById('videoFeed');
+        
+        // Detectors find every item on the tray; there are no alternatives to pick from
+        if (detector) {
+            const detections = await detectProducts(videoElement);
+            console.log('[Detection] Scan found', detections.length, 'items');
+            return { outcome: detections.length > 0 ? 'multi' : 'empty', detections: detections, candidates: [] };
+        }
+        
+        const probabilities = await classifyFrame(videoElement);
+        if (!probabilities) {
+            return { outcome: 'unrecognized', detections: [], candidates: [] };
+        }
+        
+        const top = argMax(probabilities);
+        const topClass = labels[top.index];
+        if (isEmptyClass(topClass) && top.confidence >= Settings.getClassThreshold(topClass)) {
+            return { outcome: 'empty', detections: [], candidates: [] };
+        }
+        
+        const candidates = rankCandidates(probabilities);
+        const best = candidates[0];
+        let outcome = 'unrecognized';
+        if (best) {
+            const classThreshold = Settings.getClassThreshold(best.className);
+            if (best.confidence >= Math.max(classThreshold, Settings.get('autoAddThreshold'))) {
+                outcome = 'auto';
+            } else if (best.confidence >= classThreshold) {
+                outcome = 'confirm';
+            }
+        }
+        
+        const detection = best && outcome !== 'unrecognized'
+            ? buildDetection(labels.findIndex(label => label.trim() === best.className), best.confidence, videoElement)
+            : null;
+        
+        console.log('[Detection] Scan outcome:', outcome, best ? `${best.className} ${best.confidence.toFixed(2)}` : '');
+        return { outcome: outcome, detections: detection ? [detection] : [], candidates: candidates };
+    }
+
     function getStats() {
         return {
-            totalProducts: PRODUCTS.length,
-            minConfidence: MIN_CONFIDENCE,
+            totalProducts: getProducts().length,
+            minConfidence: Settings.get('minConfidence'),
             modelLoaded: modelLoaded,
-            modelType: 'Teachable Machine (caffee, water, empty)',
-            classes: ['caffee → Coffee', 'water → Water', 'empty → Ignore']
+            modelType: `${detector ? `Object Detector (${detector.format.toUpperCase()})` : 'Teachable Machine'} (${getLabels().join(', ')})`,
+            classes: describeClasses()
+        };
+    }
+
+    // ============================================================================
+    // TEMPORAL SMOOTHING
+    // ============================================================================
+    // Continuous detection averages probabilities over recent frames and only
+    // reports a class once it has led for several frames in a row. A stable
+    // class is kept until its average drops below a lower exit threshold
+    // (hysteresis), so a single noisy frame does not make the result flicker.
+    // Window size, frame count and thresholds come from Settings.smoothing.
+
+    let probabilityHistory = [];
+    let stableIndex = null;
+    let candidateIndex = null;
+    let candidateFrames = 0;
+    let averagedProbabilities = [];
+
+    function resetStability() {
+        probabilityHistory = [];
+        stableIndex = null;
+        candidateIndex = null;
+        candidateFrames = 0;
+        averagedProbabilities = [];
+    }
+
+    /**
+     * Add a frame's probabilities and update the stable class
+     * @param {Array<number>} probabilities - Class probabilities of the new frame
+     * @returns {Object} Stability state (see getStability)
+     */
+    function updateStability(probabilities) {
+        const smoothing = Settings.get('smoothing');
+        
+        probabilityHistory.push(probabilities);
+        while (probabilityHistory.length > smoothing.windowSize) {
+            probabilityHistory.shift();
+        }
+        
+        averagedProbabilities = probabilities.map((_, i) =>
+            probabilityHistory.reduce((sum, frame) => sum + frame[i], 0) / probabilityHistory.length
+        );
+        
+        const top = argMax(averagedProbabilities);
+        // A class needs both the smoothing threshold and its own per-class threshold
+        const enterThreshold = Math.max(smoothing.enterThreshold, Settings.getClassThreshold(labels[top.index]));
+        
+        if (stableIndex !== null) {
+            if (top.index !== stableIndex && top.confidence >= enterThreshold) {
+                // Another class took over clearly: start counting it
+                stableIndex = null;
+            } else if (averagedProbabilities[stableIndex] < smoothing.exitThreshold) {
+                stableIndex = null;
+            }
+        }
+        
+        if (stableIndex === null) {
+            if (top.confidence >= enterThreshold) {
+                candidateFrames = top.index === candidateIndex ? candidateFrames + 1 : 1;
+                candidateIndex = top.index;
+                if (candidateFrames >= smoothing.requiredFrames) {
+                    stableIndex = top.index;
+                    console.log('[Detection] Stable class:', labels[stableIndex]);
+                }
+            } else {
+                candidateIndex = null;
+                candidateFrames = 0;
+            }
+        }
+        
+        return getStability();
+    }
+
+    /**
+     * Get the current smoothing state
+     * @returns {Object} { isStable, className, confidence, isEmpty, candidate, candidateFrames, requiredFrames, probabilities }
+     */
+    function getStability() {
+        const className = stableIndex !== null ? (labels[stableIndex] || '').trim() : null;
+        
+        return {
+            isStable: stableIndex !== null,
+            className: className,
+            confidence: stableIndex !== null ? averagedProbabilities[stableIndex] : 0,
+            isEmpty: className !== null && isEmptyClass(className),
+            candidate: candidateIndex !== null ? (labels[candidateIndex] || '').trim() : null,
+            candidateFrames: candidateFrames,
+            requiredFrames: Settings.get('smoothing').requiredFrames,
+            probabilities: averagedProbabilities.slice()
         };
     }
 
@@ -235,7 +930,12 @@ const Detection = (function() {
     let continuousDetectionId = null;
     let continuousDetectionCallback = null;
 
-    function startContinuousDetection(callback, interval = 500) {
+    /**
+     * Start smoothed detection on the video feed
+     * @param {Function} callback - Receives (detections, stability); detections only hold the stable class
+     * @param {number|null} interval - Milliseconds between frames (default: the scan interval setting, read every frame)
+     */
+    function startContinuousDetection(callback, interval = null) {
         if (continuousDetectionId) return;
         if (!modelLoaded) {
             console.error('[Detection] Model not loaded');
@@ -243,19 +943,40 @@ const Detection = (function() {
         }
         
         continuousDetectionCallback = callback;
+        resetStability();
         
         const detectFrame = async () => {
             const videoElement = document.getElementById('videoFeed');
             if (videoElement) {
-                const detections = await detectObjects(videoElement);
-                if (continuousDetectionCallback) {
-                    continuousDetectionCallback(detections);
+                let detections = [];
+                try {
+                    if (detector) {
+                        // Boxes are drawn per frame; smoothing applies to classifiers only
+                        detections = await detectProducts(videoElement);
+                    } else {
+                        const probabilities = await classifyFrame(videoElement);
+                        if (probabilities) {
+                            const stability = updateStability(probabilities);
+                            if (stability.isStable) {
+                                const detection = buildDetection(stableIndex, stability.confidence, videoElement);
+                                detections = detection ? [detection] : [];
+                            }
+                        }
+                    }
+                } catch (error) {
+                    console.error('[Detection] Inference error:', error);
                 }
+                if (continuousDetectionCallback === callback) {
+                    callback(detections, getStability());
+                }
+            }
+            // Stopped (or restarted) while this frame was running
+            if (continuousDetectionCallback === callback) {
+                continuousDetectionId = setTimeout(detectFrame, interval || Settings.get('scanInterval'));
             }
-            continuousDetectionId = setTimeout(detectFrame, interval);
         };
         
-        detectFrame();
+        continuousDetectionId = setTimeout(detectFrame, 0);
         console.log('[Detection] Continuous detection started');
     }
 
@@ -264,6 +985,7 @@ const Detection = (function() {
             clearTimeout(continuousDetectionId);
             continuousDetectionId = null;
             continuousDetectionCallback = null;
+            resetStability();
             console.log('[Detection] Continuous detection stopped');
         }
     }
@@ -279,15 +1001,34 @@ const Detection = (function() {
         loadModel,
         isModelLoaded,
         getModelStatus,
+        getLabels,
+        validateCatalogMapping,
+        isObjectDetector,
+        getFeatureExtractor,
+        extractFeatures,
+        getCropRegion,
         getProducts,
         getProductById,
         scanProducts,
+        scanWithCandidates,
+        rankCandidates,
+        classifyWithScores,
+        getClassScores,
+        getLastFrame,
+        onFrame,
         detectObjects,
         startContinuousDetection,
         stopContinuousDetection,
+        getStability,
         isContinuousDetectionRunning,
+        isEmptyClass,
+        mapClassToProduct,
         getStats,
-        PRODUCTS,
-        MIN_CONFIDENCE
+        get PRODUCTS() {
+            return getProducts();
+        },
+        get MIN_CONFIDENCE() {
+            return Settings.get('minConfidence');
+        }
     };
 })();
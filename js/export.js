@@ -1,19 +1,61 @@
 /**
  * Export Module
- * Handles order export to JSON format with timestamps
+ * Handles order export to JSON and CSV formats with timestamps
+ * CSV files carry a UTF-8 BOM so Excel shows Arabic product names correctly
  */
 
 const Export = (function() {
     'use strict';
 
+    const FORMATS = ['json', 'csv'];
+
+    // Byte order mark that makes Excel read CSV files as UTF-8
+    const CSV_BOM = '\uFEFF';
+
+    // CSV columns: one row per order
+    const ORDER_COLUMNS = [
+        { header: 'Order ID', value: order => order.orderId },
+        { header: 'Date', value: order => formatDateTime(order.timestamp) },
+        { header: 'Items', value: order => order.itemsCount },
+        { header: 'Lines', value: order => order.items.length },
+        { header: 'Subtotal (DZD)', value: order => order.subtotal },
+        { header: 'Discounts (DZD)', value: order => order.discountTotal },
+        { header: 'Promotions', value: order => order.discounts.map(discount => discount.name).join('; ') },
+        { header: 'Service Charge (DZD)', value: order => order.serviceCharge },
+        { header: 'Prices Include Tax', value: order => order.pricesIncludeTax ? 'yes' : 'no' },
+        { header: 'Total excl. Tax (DZD)', value: order => order.netTotal },
+        { header: 'Tax (DZD)', value: order => order.taxTotal },
+        { header: 'Tax by Rate', value: order => order.taxes.map(entry => `${entry.rate}%: ${entry.amount}`).join('; ') },
+        { header: 'Total (DZD)', value: order => order.total },
+        { header: 'Payment Method', value: order => order.payment ? order.payment.method : '' },
+        { header: 'Tendered (DZD)', value: order => order.payment ? order.payment.tendered : '' },
+        { header: 'Change (DZD)', value: order => order.payment ? order.payment.change : '' },
+        { header: 'Shift ID', value: order => order.shiftId || '' },
+        { header: 'Cashier', value: order => order.cashier ? order.cashier.name : '' },
+        { header: 'Refunded At', value: order => order.refund ? formatDateTime(order.refund.refundedAt) : '' },
+        { header: 'Refund Approved By', value: order => order.refund && order.refund.approvedBy ? order.refund.approvedBy.name : '' }
+    ];
+
+    // CSV columns: one row per order line, then one row per applied discount,
+    // service charge and tax added on top of the prices
+    const LINE_COLUMNS = [
+        { header: 'Order ID', value: (order) => order.orderId },
+        { header: 'Date', value: (order) => formatDateTime(order.timestamp) },
+        { header: 'Product ID', value: (order, item) => item.productId },
+        { header: 'Product (Arabic)', value: (order, item) => item.nameAr },
+        { header: 'Product (English)', value: (order, item) => item.nameEn },
+        { header: 'Unit Price (DZD)', value: (order, item) => item.price },
+        { header: 'Tax Rate (%)', value: (order, item) => typeof item.taxRate === 'number' ? item.taxRate : '' },
+        { header: 'Quantity', value: (order, item) => item.quantity },
+        { header: 'Line Total (DZD)', value: (order, item) => item.lineTotal },
+        { header: 'Picked by Cashier', value: (order, item) => Orders.countPickedScans(item) }
+    ];
+
     /**
      * Initialize export module
+     * The export button itself is wired up by App
      */
     function init() {
-        const exportBtn = document.getElementById('exportBtn');
-        if (exportBtn) {
-            exportBtn.addEventListener('click', exportAllOrders);
-        }
         console.log('[Export] Module initialized');
     }
 
@@ -28,22 +70,40 @@ const Export = (function() {
     }
 
     /**
-     * Export single order to JSON and download
-     * @param {Object} orderData - Order data to export
+     * Export single order and download
+     * Stored orders keep their own ID and timestamp
+     * @param {Object} orderData - Order record or cart order data
+     * @param {string} format - 'json' or 'csv' (one row per line item)
      * @returns {Object} Export result with success status and filename
      */
-    function exportOrder(orderData) {
+    function exportOrder(orderData, format = 'json') {
         try {
-            const orderId = generateOrderId();
+            const orderId = orderData.orderId || generateOrderId();
             const exportData = {
                 orderId: orderId,
-                timestamp: new Date().toISOString(),
+                timestamp: orderData.timestamp || new Date().toISOString(),
                 items: orderData.items,
+                subtotal: orderData.subtotal,
+                discounts: orderData.discounts,
+                discountTotal: orderData.discountTotal,
+                pricesIncludeTax: orderData.pricesIncludeTax,
+                taxLabel: orderData.taxLabel,
+                taxes: orderData.taxes,
+                taxTotal: orderData.taxTotal,
+                netTotal: orderData.netTotal,
+                serviceChargeRate: orderData.serviceChargeRate,
+                serviceCharge: orderData.serviceCharge,
                 total: orderData.total,
-                itemsCount: orderData.itemsCount
+                itemsCount: orderData.itemsCount,
+                payment: orderData.payment || null,
+                shiftId: orderData.shiftId || null,
+                cashier: orderData.cashier || null,
+                refund: orderData.refund || null
             };
             
-            const filename = downloadJSON(exportData, `order_${orderId}.json`);
+            const filename = format === 'csv'
+                ? downloadCSV(linesToCSV([exportData]), `order_${orderId}.csv`)
+                : downloadJSON(exportData, `order_${orderId}.json`);
             
             console.log('[Export] Order exported:', orderId);
             return { success: true, orderId: orderId, filename: filename };
@@ -55,24 +115,48 @@ const Export = (function() {
     }
 
     /**
-     * Export all statistics to JSON
-     * Combines current stats with order history
-     * @returns {Object} Export result
+     * Export stored orders
+     * JSON combines current stats with the order history; CSV downloads one ZIP
+     * with two files, one row per order and one row per line item
+     * @param {Object} options - { format: 'json'|'csv', from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+     * @returns {Promise<Object>} Export result with the number of orders exported
      */
-    function exportAllOrders() {
+    async function exportAllOrders(options = {}) {
+        const format = FORMATS.includes(options.format) ? options.format : 'json';
+        
         try {
-            const stats = Stats.getStats();
-            const exportData = {
-                exportTimestamp: new Date().toISOString(),
-                application: 'POS System with AI Camera Detection',
-                model: 'TensorFlow.js COCO-SSD',
-                stats: stats
-            };
+            const orders = await Orders.searchOrders({ from: options.from, to: options.to });
             
-            const filename = downloadJSON(exportData, `pos_export_${Date.now()}.json`);
+            if (orders.length === 0) {
+                return { success: false, count: 0, error: 'No orders to export yet' };
+            }
             
-            console.log('[Export] All data exported');
-            return { success: true, filename: filename };
+            const suffix = rangeSuffix(options.from, options.to);
+            let filename;
+            
+            if (format === 'csv') {
+                // A single download: browsers block or prompt on a second automatic one
+                const zip = Zip.createZip([
+                    { name: `pos_orders_${suffix}.csv`, data: csvBytes(ordersToCSV(orders)) },
+                    { name: `pos_order_lines_${suffix}.csv`, data: csvBytes(linesToCSV(orders)) }
+                ]);
+                filename = downloadBlob(zip, `pos_orders_${suffix}.zip`);
+            } else {
+                const version = Detection.getModelStatus().version;
+                const exportData = {
+                    exportTimestamp: new Date().toISOString(),
+                    application: 'POS System with AI Camera Detection',
+                    model: { name: version.name, modelType: version.modelType, format: version.format, origin: version.origin },
+                    range: { from: options.from || null, to: options.to || null },
+                    stats: Stats.getStats(),
+                    ordersCount: orders.length,
+                    orders: orders
+                };
+                filename = downloadJSON(exportData, `pos_export_${suffix}.json`);
+            }
+            
+            console.log('[Export] All data exported:', orders.length, 'orders as', format);
+            return { success: true, count: orders.length, filename: filename };
             
         } catch (error) {
             console.error('[Export] Error:', error);
@@ -80,6 +164,229 @@ const Export = (function() {
         }
     }
 
+    /**
+     * Export a closed shift's Z-report
+     * @param {Object} report - Archived Z-report from Shifts
+     * @param {string} format - 'json' or 'csv' (one row per report entry)
+     * @returns {Object} Export result with success status and filename
+     */
+    function exportShiftReport(report, format = 'json') {
+        try {
+            const filename = format === 'csv'
+                ? downloadCSV(shiftReportToCSV(report), `zreport_${report.shiftId}.csv`)
+                : downloadJSON(report, `zreport_${report.shiftId}.json`);
+
+            console.log('[Export] Z-report exported:', report.shiftId);
+            return { success: true, filename: filename };
+
+        } catch (error) {
+            console.error('[Export] Error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build a filename suffix for a date range
+     * @param {string} from - Start date (YYYY-MM-DD) or empty
+     * @param {string} to - End date (YYYY-MM-DD) or empty
+     * @returns {string} Suffix
+     */
+    function rangeSuffix(from, to) {
+        if (!from && !to) {
+            return String(Date.now());
+        }
+        return `${from || 'start'}_to_${to || 'now'}`;
+    }
+
+    // ============================================================================
+    // CSV
+    // ============================================================================
+
+    /**
+     * Format an ISO timestamp as a local "YYYY-MM-DD HH:MM:SS" Excel understands
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Local date and time
+     */
+    function formatDateTime(timestamp) {
+        const date = new Date(timestamp);
+        const time = [date.getHours(), date.getMinutes(), date.getSeconds()]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+        return `${Orders.toLocalDate(timestamp)} ${time}`;
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * Text starting like a formula (=, +, -, @, tab, CR) is prefixed with ' so
+     * spreadsheets show it instead of running it; numbers are left as they are
+     * @param {*} value - Field value
+     * @returns {string} CSV-safe field
+     */
+    function csvField(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build CSV text from rows of values
+     * @param {Array<string>} headers - Header row
+     * @param {Array<Array>} rows - Data rows
+     * @returns {string} CSV text with CRLF line endings
+     */
+    function toCSV(headers, rows) {
+        return [headers, ...rows]
+            .map(row => row.map(csvField).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * CSV with one row per order
+     * @param {Array} orders - Order records
+     * @returns {string} CSV text
+     */
+    function ordersToCSV(orders) {
+        return toCSV(
+            ORDER_COLUMNS.map(column => column.header),
+            orders.map(order => ORDER_COLUMNS.map(column => column.value(order)))
+        );
+    }
+
+    /**
+     * CSV with one row per order line
+     * Discounts follow as negative lines, then the service charge and any
+     * tax added on top of the prices, so the line totals add up to the order total
+     * @param {Array} orders - Order records
+     * @returns {string} CSV text
+     */
+    function linesToCSV(orders) {
+        const rows = [];
+        orders.forEach(order => {
+            const lines = [
+                ...order.items,
+                ...order.discounts.map(discount =>
+                    createExtraLine(`خصم: ${discount.name}`, `Discount: ${discount.name} (${discount.description})`, -discount.amount))
+            ];
+            if (order.serviceCharge > 0) {
+                lines.push(createExtraLine('الخدمة', `Service charge ${order.serviceChargeRate}%`, order.serviceCharge));
+            }
+            if (!order.pricesIncludeTax) {
+                order.taxes.forEach(entry => {
+                    lines.push(createExtraLine('الرسم', `${order.taxLabel} ${entry.rate}% on ${entry.base}`, entry.amount));
+                });
+            }
+
+            lines.forEach(line => {
+                rows.push(LINE_COLUMNS.map(column => column.value(order, line)));
+            });
+        });
+        return toCSV(LINE_COLUMNS.map(column => column.header), rows);
+    }
+
+    /**
+     * Present a discount, service charge or tax as an order line
+     * @param {string} nameAr - Arabic description
+     * @param {string} nameEn - English description
+     * @param {number} amount - Amount (negative for discounts)
+     * @returns {Object} Line
+     */
+    function createExtraLine(nameAr, nameEn, amount) {
+        return {
+            productId: '',
+            nameAr: nameAr,
+            nameEn: nameEn,
+            price: amount,
+            quantity: 1,
+            lineTotal: amount,
+            scans: []
+        };
+    }
+
+    /**
+     * CSV for a Z-report: shift summary, sales per product, discounts, taxes,
+     * voids, sales and refunds per payment method
+     * @param {Object} report - Z-report
+     * @returns {string} CSV text
+     */
+    function shiftReportToCSV(report) {
+        const rows = [
+            ['Shift', 'Shift ID', '', report.shiftId],
+            ['Shift', 'Opened', '', formatDateTime(report.openedAt)],
+            ['Shift', 'Closed', '', formatDateTime(report.closedAt)],
+            ['Shift', 'Opened by', '', report.openedBy ? report.openedBy.name : ''],
+            ['Shift', 'Closed by', '', report.closedBy ? report.closedBy.name : ''],
+            ['Shift', 'Orders', report.ordersCount, ''],
+            ['Shift', 'Items', report.itemsCount, ''],
+            ['Shift', 'Revenue', '', report.revenue]
+        ];
+
+        report.salesByProduct.forEach(entry => {
+            rows.push(['Product', `${entry.nameEn} / ${entry.nameAr}`, entry.quantity, entry.amount]);
+        });
+        // Reports archived before discounts and taxes existed have no such entries
+        (report.discounts || []).forEach(entry => {
+            rows.push(['Discount', entry.name, entry.count, -entry.amount]);
+        });
+        (report.taxes || []).forEach(entry => {
+            rows.push(['Tax', `${entry.label} ${entry.rate}% on ${entry.base}`, '', entry.amount]);
+        });
+        if (report.serviceChargeTotal > 0) {
+            rows.push(['Service', 'Service charge', '', report.serviceChargeTotal]);
+        }
+        if (report.voids) {
+            Object.keys(report.voids.byAction).forEach(action => {
+                const entry = report.voids.byAction[action];
+                rows.push(['Void', Voids.getActionLabel(action), entry.count, -entry.amount]);
+            });
+            if (report.voids.restoredCount > 0) {
+                rows.push(['Void', 'Restored with undo', report.voids.restoredCount, '']);
+            }
+        }
+        Object.keys(report.salesByMethod).forEach(method => {
+            rows.push(['Payment', method, report.salesByMethod[method].count, report.salesByMethod[method].amount]);
+        });
+        if (report.refunds) {
+            Object.keys(report.refunds.byMethod).forEach(method => {
+                const entry = report.refunds.byMethod[method];
+                rows.push(['Refund', method, entry.count, -entry.amount]);
+            });
+        }
+
+        rows.push(
+            ['Cash', 'Starting float', '', report.openingFloat],
+            ['Cash', 'Expected cash', '', report.expectedCash],
+            ['Cash', 'Counted cash', '', report.countedCash],
+            ['Cash', 'Discrepancy', '', report.discrepancy]
+        );
+
+        return toCSV(['Section', 'Item', 'Quantity', 'Amount (DZD)'], rows);
+    }
+
+    /**
+     * Download CSV file with a UTF-8 BOM
+     * @param {string} csv - CSV text
+     * @param {string} filename - Filename for download
+     * @returns {string} The filename used
+     */
+    function downloadCSV(csv, filename) {
+        const blob = new Blob([CSV_BOM + csv], { type: 'text/csv;charset=utf-8' });
+        return downloadBlob(blob, filename);
+    }
+
+    /**
+     * Encode CSV text as a UTF-8 file for a ZIP entry
+     * @param {string} csv - CSV text
+     * @returns {Uint8Array} File contents, with the BOM Excel needs for Arabic text
+     */
+    function csvBytes(csv) {
+        return new TextEncoder().encode(CSV_BOM + csv);
+    }
+
     /**
      * Download JSON file
      * @param {Object} data - Data to export
@@ -89,6 +396,16 @@ const Export = (function() {
     function downloadJSON(data, filename) {
         const jsonString = JSON.stringify(data, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
+        return downloadBlob(blob, filename);
+    }
+
+    /**
+     * Trigger a browser download for a blob
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Filename for download
+     * @returns {string} The filename used
+     */
+    function downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
@@ -149,8 +466,14 @@ const Export = (function() {
         init,
         exportOrder,
         exportAllOrders,
+        exportShiftReport,
         exportCurrentCart,
         exportDetection,
-        generateOrderId
+        generateOrderId,
+        ordersToCSV,
+        linesToCSV,
+        downloadCSV,
+        downloadJSON,
+        downloadBlob
     };
 })();
@@ -0,0 +1,551 @@
+/**
+ * Model Registry Module
+ * Versioned Teachable Machine models stored in IndexedDB
+ * Imports TM exports (zip or model.json + weights.bin + metadata.json) and
+ * models trained on this device, activates a version and rolls back to the
+ * previous one
+ */
+
+const ModelRegistry = (function() {
+    'use strict';
+
+    // The model shipped in ./model/ is always available as the bundled version
+    const BUNDLED_ID = 'bundled';
+    const BUNDLED_MODEL_URL = './model/model.json';
+    const BUNDLED_METADATA_URL = './model/metadata.json';
+
+    // Storage
+    const STORE_NAME = 'models';
+    const ACTIVE_KEY = 'pos_active_model';
+    const HISTORY_KEY = 'pos_model_history';
+    const MAX_HISTORY = 20;
+
+    // Private state
+    let activationHandler = null;
+    let busy = false;
+    // Manager who approved opening the versions screen, passed to activate/rollback
+    let approvedBy = null;
+
+    // DOM Elements
+    const modalElement = document.getElementById('modelModal');
+    const listElement = document.getElementById('modelVersionList');
+    const fileInput = document.getElementById('modelFileInput');
+    const nameInput = document.getElementById('modelVersionName');
+    const importBtn = document.getElementById('importModelBtn');
+    const rollbackBtn = document.getElementById('rollbackModelBtn');
+    const messageElement = document.getElementById('modelRegistryMessage');
+
+    /**
+     * Initialize model registry module
+     */
+    function init() {
+        document.getElementById('openModelsBtn').addEventListener('click', async () => {
+            const manager = await Users.requireManager('Change the detection model');
+            if (manager) {
+                approvedBy = manager;
+                open();
+            }
+        });
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        importBtn.addEventListener('click', handleImport);
+        rollbackBtn.addEventListener('click', () => runAction(() => rollback(approvedBy)));
+
+        console.log('[ModelRegistry] Module initialized');
+    }
+
+    /**
+     * Register the function that actually swaps the running model
+     * Called with a model source; must throw or resolve to false if the model
+     * was not loaded, so the active version is only saved once it is running
+     * @param {Function} handler - async (source) => boolean
+     */
+    function setActivationHandler(handler) {
+        activationHandler = handler;
+    }
+
+    // ============================================================================
+    // VERSION STORAGE
+    // ============================================================================
+
+    /**
+     * Get ID of the active version
+     * @returns {string} Version ID
+     */
+    function getActiveId() {
+        return localStorage.getItem(ACTIVE_KEY) || BUNDLED_ID;
+    }
+
+    /**
+     * Get previously active version IDs, most recent last
+     * @returns {Array<string>} Version IDs
+     */
+    function getHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function saveHistory(history) {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-MAX_HISTORY)));
+    }
+
+    /**
+     * List stored versions (without weights), newest first
+     * @returns {Promise<Array>} Version summaries, bundled version last
+     */
+    async function listVersions() {
+        let stored = [];
+        try {
+            stored = await DB.getAll(STORE_NAME);
+        } catch (error) {
+            console.error('[ModelRegistry] Failed to read versions:', error);
+        }
+
+        const versions = stored
+            .map(({ weightData, modelTopology, weightsManifest, ...summary }) => summary)
+            .sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+
+        versions.push({
+            id: BUNDLED_ID,
+            name: 'Bundled model',
+            importedAt: null,
+            labels: null,
+            bundled: true
+        });
+
+        return versions;
+    }
+
+    /**
+     * Resolve a version into something Detection.loadModel can consume
+     * @param {string} id - Version ID
+     * @returns {Promise<Object>} { id, name, origin: 'bundled'|'imported'|'trained', model: URL|IOHandler, metadata }
+     */
+    async function getSource(id) {
+        if (id === BUNDLED_ID) {
+            const response = await fetch(BUNDLED_METADATA_URL);
+            if (!response.ok) {
+                throw new Error(`Failed to load model metadata (HTTP ${response.status})`);
+            }
+            return {
+                id: BUNDLED_ID,
+                name: 'Bundled model',
+                origin: 'bundled',
+                model: BUNDLED_MODEL_URL,
+                metadata: await response.json()
+            };
+        }
+
+        const version = await DB.get(STORE_NAME, id);
+        if (!version) {
+            throw new Error(`Model version ${id} not found`);
+        }
+
+        return {
+            id: version.id,
+            name: version.name,
+            origin: version.origin,
+            model: tf.io.fromMemory({
+                modelTopology: version.modelTopology,
+                weightSpecs: version.weightsManifest.flatMap(group => group.weights),
+                weightData: version.weightData
+            }),
+            metadata: version.metadata
+        };
+    }
+
+    /**
+     * Get the source for the active version
+     * @returns {Promise<Object>} Model source
+     */
+    function getActiveSource() {
+        return getSource(getActiveId());
+    }
+
+    /**
+     * Get the source for the bundled version
+     * @returns {Promise<Object>} Model source
+     */
+    function getBundledSource() {
+        return getSource(BUNDLED_ID);
+    }
+
+    // ============================================================================
+    // IMPORT
+    // ============================================================================
+
+    /**
+     * Import a Teachable Machine export as a new version
+     * @param {FileList|Array<File>} files - A .zip, or model.json + weights.bin + metadata.json
+     * @param {string} name - Optional version name
+     * @returns {Promise<Object>} Stored version summary
+     */
+    async function importFiles(files, name = '') {
+        const entries = await collectEntries(Array.from(files));
+
+        const modelEntry = entries['model.json'];
+        const metadataEntry = entries['metadata.json'];
+        if (!modelEntry) {
+            throw new Error('model.json is missing from the import');
+        }
+        if (!metadataEntry) {
+            throw new Error('metadata.json is missing from the import');
+        }
+
+        const modelJson = parseJson(modelEntry, 'model.json');
+        const metadata = parseJson(metadataEntry, 'metadata.json');
+
+        // Layers models (classifiers) and graph models (object detectors) share this layout
+        if (!modelJson.modelTopology || !Array.isArray(modelJson.weightsManifest)) {
+            throw new Error('model.json is not a TensorFlow.js model');
+        }
+        if (modelJson.format === 'graph-model' && metadata.modelType !== 'detector') {
+            throw new Error('Graph models are only supported as object detectors (set "modelType": "detector" in metadata.json)');
+        }
+        if (!Array.isArray(metadata.labels) || metadata.labels.length === 0) {
+            throw new Error('metadata.json has no class labels');
+        }
+
+        // Weight shards are concatenated in manifest order
+        const shards = modelJson.weightsManifest
+            .flatMap(group => group.paths)
+            .map(path => {
+                const shard = entries[basename(path)];
+                if (!shard) {
+                    throw new Error(`Weights file ${basename(path)} is missing from the import`);
+                }
+                return shard;
+            });
+
+        return storeVersion({
+            name: name.trim() || metadata.modelName || 'Imported model',
+            origin: 'imported',
+            metadata: metadata,
+            modelTopology: modelJson.modelTopology,
+            weightsManifest: modelJson.weightsManifest,
+            weightData: concatBuffers(shards)
+        });
+    }
+
+    /**
+     * Save a model trained on this device as a new version
+     * @param {Object} artifacts - tf.io model artifacts (modelTopology, weightSpecs, weightData)
+     * @param {Object} metadata - Teachable Machine style metadata (labels, imageSize)
+     * @param {string} name - Optional version name
+     * @returns {Promise<Object>} Stored version summary
+     */
+    async function saveTrainedVersion(artifacts, metadata, name = '') {
+        if (!artifacts || !artifacts.modelTopology || !artifacts.weightSpecs) {
+            throw new Error('The trained model could not be serialized');
+        }
+        if (!Array.isArray(metadata.labels) || metadata.labels.length === 0) {
+            throw new Error('The trained model has no class labels');
+        }
+
+        // Newer TensorFlow.js versions may hand the weights over in chunks
+        const weightData = Array.isArray(artifacts.weightData)
+            ? concatBuffers(artifacts.weightData.map(chunk => new Uint8Array(chunk)))
+            : artifacts.weightData;
+
+        return storeVersion({
+            name: name.trim() || metadata.modelName || 'Trained model',
+            origin: 'trained',
+            metadata: metadata,
+            modelTopology: artifacts.modelTopology,
+            weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }],
+            weightData: weightData
+        });
+    }
+
+    /**
+     * Store a new version
+     * @param {Object} fields - { name, origin: 'imported'|'trained', metadata, modelTopology, weightsManifest, weightData }
+     * @returns {Promise<Object>} Stored version summary (without weights)
+     */
+    async function storeVersion(fields) {
+        const version = {
+            id: `model_${Date.now()}`,
+            name: fields.name,
+            origin: fields.origin,
+            importedAt: new Date().toISOString(),
+            trainedAt: fields.metadata.timeStamp || null,
+            labels: fields.metadata.labels.map(label => label.trim()),
+            metadata: fields.metadata,
+            modelTopology: fields.modelTopology,
+            weightsManifest: fields.weightsManifest,
+            weightData: fields.weightData
+        };
+
+        await DB.put(STORE_NAME, version);
+        console.log('[ModelRegistry] Stored version:', version.id, version.name, `(${version.origin})`);
+
+        const { weightData, modelTopology, weightsManifest, ...summary } = version;
+        return summary;
+    }
+
+    /**
+     * Read selected files (expanding zips) into a basename → bytes map
+     * @param {Array<File>} files - Selected files
+     * @returns {Promise<Object>} Entries keyed by file name
+     */
+    async function collectEntries(files) {
+        const entries = {};
+
+        for (const file of files) {
+            const buffer = await file.arrayBuffer();
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                const zipFiles = await Zip.readZip(buffer);
+                zipFiles.forEach(entry => {
+                    entries[basename(entry.name)] = entry.data;
+                });
+            } else {
+                entries[basename(file.name)] = new Uint8Array(buffer);
+            }
+        }
+
+        return entries;
+    }
+
+    function basename(path) {
+        return path.split('/').pop();
+    }
+
+    function parseJson(bytes, label) {
+        try {
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`${label} is not valid JSON`);
+        }
+    }
+
+    function concatBuffers(chunks) {
+        const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return result.buffer;
+    }
+
+    // ============================================================================
+    // ACTIVATION
+    // ============================================================================
+
+    /**
+     * Activate a version: load it through the activation handler, then persist
+     * The previous model stays in use if loading fails
+     * @param {string} id - Version ID
+     * @param {Object} approvedBy - Manager who approved the swap { id, name, role }
+     */
+    async function activate(id, approvedBy) {
+        Users.assertApproved(approvedBy, 'Changing the detection model');
+        const currentId = getActiveId();
+        if (id === currentId) {
+            return;
+        }
+
+        const source = await getSource(id);
+        await runActivationHandler(source);
+
+        const history = getHistory();
+        history.push(currentId);
+        saveHistory(history);
+        localStorage.setItem(ACTIVE_KEY, id);
+
+        console.log('[ModelRegistry] Activated version:', id);
+    }
+
+    /**
+     * Load a version through the activation handler
+     * @param {Object} source - Model source
+     */
+    async function runActivationHandler(source) {
+        if (activationHandler && !(await activationHandler(source))) {
+            throw new Error(`"${source.name}" was not loaded; the current model is still active`);
+        }
+    }
+
+    /**
+     * Re-activate the previously active version
+     * @param {Object} approvedBy - Manager who approved the swap { id, name, role }
+     */
+    async function rollback(approvedBy) {
+        Users.assertApproved(approvedBy, 'Changing the detection model');
+        const history = getHistory();
+        const activeId = getActiveId();
+
+        // Skip entries that were deleted or equal the current version
+        const storedIds = (await listVersions()).map(version => version.id);
+        let previousId = null;
+        while (history.length > 0 && !previousId) {
+            const candidate = history.pop();
+            if (candidate !== activeId && storedIds.includes(candidate)) {
+                previousId = candidate;
+            }
+        }
+
+        if (!previousId) {
+            throw new Error('No previous model version to roll back to');
+        }
+
+        const source = await getSource(previousId);
+        await runActivationHandler(source);
+
+        saveHistory(history);
+        localStorage.setItem(ACTIVE_KEY, previousId);
+        console.log('[ModelRegistry] Rolled back to version:', previousId);
+    }
+
+    /**
+     * Delete a stored version (the active and bundled versions are kept)
+     * @param {string} id - Version ID
+     */
+    async function deleteVersion(id) {
+        if (id === BUNDLED_ID) {
+            throw new Error('The bundled model cannot be deleted');
+        }
+        if (id === getActiveId()) {
+            throw new Error('Activate another version before deleting this one');
+        }
+
+        await DB.remove(STORE_NAME, id);
+        saveHistory(getHistory().filter(entry => entry !== id));
+        console.log('[ModelRegistry] Deleted version:', id);
+    }
+
+    /**
+     * Fall back to the bundled model after the active version failed to load
+     */
+    function resetToBundled() {
+        localStorage.setItem(ACTIVE_KEY, BUNDLED_ID);
+    }
+
+    // ============================================================================
+    // MODEL VERSIONS SCREEN
+    // ============================================================================
+
+    async function open() {
+        showMessage('');
+        modalElement.classList.add('visible');
+        await render();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+        approvedBy = null;
+    }
+
+    /**
+     * Render the version list
+     */
+    async function render() {
+        const escape = Utils.escapeHtml;
+        const versions = await listVersions();
+        const activeId = getActiveId();
+
+        listElement.innerHTML = versions.map(version => {
+            const isActive = version.id === activeId;
+            const details = version.bundled
+                ? 'Shipped in ./model/'
+                : `${version.origin === 'trained' ? 'Trained on this device' : 'Imported'} ${new Date(version.importedAt).toLocaleString()} · ${version.metadata && version.metadata.modelType === 'detector' ? 'Object detector · ' : ''}${version.labels.map(escape).join(', ')}`;
+
+            return `
+                <div class="catalog-row ${isActive ? 'active-version' : ''}">
+                    <div class="catalog-info">
+                        <span class="cart-item-name">${escape(version.name)} ${isActive ? '<span class="badge">Active</span>' : ''}</span>
+                        <span class="cart-item-name-en">${details}</span>
+                    </div>
+                    <div class="catalog-actions">
+                        ${isActive ? '' : `
+                            <button class="btn btn-primary btn-small" onclick="ModelRegistry.activateFromList('${version.id}')" ${busy ? 'disabled' : ''}>Activate</button>
+                        `}
+                        ${isActive || version.bundled ? '' : `
+                            <button class="btn btn-danger btn-small" onclick="ModelRegistry.deleteFromList('${version.id}')" ${busy ? 'disabled' : ''}>Delete</button>
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        rollbackBtn.disabled = busy || getHistory().length === 0;
+        importBtn.disabled = busy;
+    }
+
+    /**
+     * Run a registry action with busy state and error reporting
+     * @param {Function} action - async action, may resolve to a success message
+     * @param {string} successMessage - Default message shown on success
+     */
+    async function runAction(action, successMessage = '') {
+        if (busy) return;
+
+        busy = true;
+        showMessage('<span class="loading-spinner"></span> Working...');
+        await render();
+
+        try {
+            const message = await action();
+            showMessage(message || successMessage);
+        } catch (error) {
+            console.error('[ModelRegistry] Error:', error);
+            showMessage(`❌ ${Utils.escapeHtml(error.message)}`, true);
+        } finally {
+            busy = false;
+            await render();
+        }
+    }
+
+    function handleImport() {
+        if (fileInput.files.length === 0) {
+            showMessage('Choose a Teachable Machine .zip or its model.json, weights.bin and metadata.json first.', true);
+            return;
+        }
+
+        runAction(async () => {
+            const version = await importFiles(fileInput.files, nameInput.value);
+            fileInput.value = '';
+            nameInput.value = '';
+            return `✅ Imported "${Utils.escapeHtml(version.name)}". Activate it to start using it.`;
+        });
+    }
+
+    function activateFromList(id) {
+        runAction(() => activate(id, approvedBy), '✅ Model activated');
+    }
+
+    function deleteFromList(id) {
+        if (!confirm('Delete this model version?')) return;
+        runAction(() => deleteVersion(id), 'Model version deleted');
+    }
+
+    function showMessage(html, isError = false) {
+        messageElement.innerHTML = html;
+        messageElement.classList.toggle('error', isError);
+    }
+
+    // Public API
+    return {
+        init,
+        setActivationHandler,
+        getActiveId,
+        listVersions,
+        getActiveSource,
+        getBundledSource,
+        importFiles,
+        saveTrainedVersion,
+        activate,
+        rollback,
+        deleteVersion,
+        resetToBundled,
+        open,
+        close,
+        activateFromList,
+        deleteFromList
+    };
+})();
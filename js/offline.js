@@ -0,0 +1,100 @@
+/**
+ * Offline Module
+ * Registers the service worker that caches the app, TensorFlow.js and the
+ * bundled model, and shows the connection / offline-ready status in the header
+ */
+
+const Offline = (function() {
+    'use strict';
+
+    const SERVICE_WORKER_URL = './sw.js';
+    const READY_CHECK_URL = './model/weights.bin';
+
+    // Private state
+    let supported = false;
+    let offlineReady = false;
+
+    // DOM Elements
+    const statusElement = document.getElementById('connectionStatus');
+
+    /**
+     * Initialize offline module
+     */
+    function init() {
+        window.addEventListener('online', render);
+        window.addEventListener('offline', render);
+
+        // Service workers need http(s); opening index.html from disk still works online
+        supported = 'serviceWorker' in navigator && location.protocol !== 'file:';
+        render();
+
+        if (supported) {
+            registerServiceWorker();
+        }
+
+        console.log('[Offline] Module initialized');
+    }
+
+    /**
+     * Register the service worker and wait until the app is cached
+     */
+    async function registerServiceWorker() {
+        try {
+            await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+            await navigator.serviceWorker.ready;
+            offlineReady = await isCached();
+            console.log('[Offline] Service worker ready, offline ready:', offlineReady);
+        } catch (error) {
+            console.error('[Offline] Service worker registration failed:', error);
+            supported = false;
+        }
+        render();
+    }
+
+    /**
+     * Check that the install step finished caching (the model is cached last)
+     * @returns {Promise<boolean>} True when the model is in the cache
+     */
+    async function isCached() {
+        if (typeof caches === 'undefined') {
+            return false;
+        }
+        return Boolean(await caches.match(READY_CHECK_URL));
+    }
+
+    function isOnline() {
+        return navigator.onLine;
+    }
+
+    function isOfflineReady() {
+        return offlineReady;
+    }
+
+    /**
+     * Show the connection status
+     */
+    function render() {
+        let text;
+        let state;
+
+        if (isOnline()) {
+            state = offlineReady ? 'ready' : '';
+            text = offlineReady
+                ? 'Online · Offline ready'
+                : supported ? 'Online · Preparing offline mode…' : 'Online · Offline mode unavailable';
+        } else {
+            state = offlineReady ? 'offline' : 'error';
+            text = offlineReady ? 'Offline · Working from cache' : 'Offline · App not cached';
+        }
+
+        statusElement.className = `connection-status ${state}`.trim();
+        statusElement.querySelector('.status-text').textContent = text;
+    }
+
+    // Public API
+    return {
+        init,
+        isOnline,
+        isOfflineReady
+    };
+})();
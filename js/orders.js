@@ -0,0 +1,406 @@
+/**
+ * Orders Module
+ * Persists completed orders in IndexedDB and provides the Order History panel
+ * Orders record the cashier who took them; refunds need a manager's approval
+ */
+
+const Orders = (function() {
+    'use strict';
+
+    const STORE_NAME = 'orders';
+
+    // Private state
+    let selectedOrderId = null;
+
+    // DOM Elements
+    const modalElement = document.getElementById('historyModal');
+    const listElement = document.getElementById('historyList');
+    const detailsElement = document.getElementById('historyDetails');
+    const searchInput = document.getElementById('historySearch');
+    const dateInput = document.getElementById('historyDate');
+
+    /**
+     * Initialize orders module
+     */
+    function init() {
+        document.getElementById('openHistoryBtn').addEventListener('click', open);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        searchInput.addEventListener('input', renderList);
+        dateInput.addEventListener('change', renderList);
+
+        console.log('[Orders] Module initialized');
+    }
+
+    // ============================================================================
+    // ORDER STORE
+    // ============================================================================
+
+    /**
+     * Save a completed order
+     * @param {Object} orderData - Order data from Cart.getOrderData()
+     * @param {Object} payment - Payment from Checkout { method, tendered, change }
+     * @param {string|null} shiftId - Shift the order was taken in
+     * @param {Object|null} cashier - User who took the order { id, name, role }
+     * @returns {Promise<Object>} Stored order record
+     */
+    async function saveOrder(orderData, payment, shiftId = null, cashier = null) {
+        const order = {
+            orderId: Export.generateOrderId(),
+            timestamp: new Date().toISOString(),
+            items: orderData.items,
+            subtotal: orderData.subtotal,
+            discounts: orderData.discounts,
+            discountTotal: orderData.discountTotal,
+            pricesIncludeTax: orderData.pricesIncludeTax,
+            taxLabel: orderData.taxLabel,
+            taxes: orderData.taxes,
+            taxTotal: orderData.taxTotal,
+            netTotal: orderData.netTotal,
+            serviceChargeRate: orderData.serviceChargeRate,
+            serviceCharge: orderData.serviceCharge,
+            total: orderData.total,
+            itemsCount: orderData.itemsCount,
+            payment: { ...payment },
+            shiftId: shiftId,
+            cashier: cashier,
+            refund: null
+        };
+
+        await DB.put(STORE_NAME, order);
+        console.log('[Orders] Saved order:', order.orderId);
+        return order;
+    }
+
+    /**
+     * Get an order by ID
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Object|null>} Order record
+     */
+    async function getOrder(orderId) {
+        const order = await DB.get(STORE_NAME, orderId);
+        return order ? upgradeOrder(order) : null;
+    }
+
+    /**
+     * Get all orders, newest first
+     * @returns {Promise<Array>} Order records
+     */
+    async function getAllOrders() {
+        const orders = await DB.getAll(STORE_NAME);
+        return orders.map(upgradeOrder).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Refund a whole order
+     * @param {string} orderId - Order ID
+     * @param {Object} approvedBy - Manager who approved the refund { id, name, role }
+     * @returns {Promise<Object>} Updated order record
+     */
+    async function refundOrder(orderId, approvedBy) {
+        const order = await getOrder(orderId);
+        if (!order) {
+            throw new Error('Order not found');
+        }
+        if (order.refund) {
+            throw new Error('This order was already refunded');
+        }
+
+        const shift = Shifts.getCurrentShift();
+        order.refund = {
+            refundedAt: new Date().toISOString(),
+            amount: order.total,
+            method: order.payment ? order.payment.method : 'other',
+            // The shift whose drawer paid the refund back
+            shiftId: shift ? shift.shiftId : null,
+            by: Users.getAttribution(),
+            approvedBy: approvedBy
+        };
+
+        await DB.put(STORE_NAME, order);
+        console.log('[Orders] Refunded order:', order.orderId);
+        return order;
+    }
+
+    /**
+     * Give orders saved before discounts, taxes and user accounts existed the same
+     * shape as new ones (no discounts, and no tax breakdown: their tax was never recorded)
+     * @param {Object} order - Stored order record
+     * @returns {Object} Order with the full breakdown fields
+     */
+    function upgradeOrder(order) {
+        return {
+            subtotal: order.total,
+            discounts: [],
+            discountTotal: 0,
+            pricesIncludeTax: true,
+            taxLabel: '',
+            taxes: [],
+            taxTotal: 0,
+            netTotal: order.total,
+            serviceChargeRate: 0,
+            serviceCharge: 0,
+            cashier: null,
+            refund: null,
+            ...order
+        };
+    }
+
+    /**
+     * Search orders by ID fragment and/or local calendar dates
+     * @param {Object} filters - { query, date, from, to } with dates as 'YYYY-MM-DD' (inclusive)
+     * @returns {Promise<Array>} Matching orders, newest first
+     */
+    async function searchOrders(filters = {}) {
+        const query = (filters.query || '').trim().toLowerCase();
+        const date = filters.date || '';
+        const from = filters.from || '';
+        const to = filters.to || '';
+
+        const orders = await getAllOrders();
+        return orders.filter(order => {
+            if (query && !order.orderId.toLowerCase().includes(query)) {
+                return false;
+            }
+            const orderDate = toLocalDate(order.timestamp);
+            if (date && orderDate !== date) {
+                return false;
+            }
+            if ((from && orderDate < from) || (to && orderDate > to)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Format a timestamp as a local YYYY-MM-DD date
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Local date
+     */
+    function toLocalDate(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // ============================================================================
+    // ORDER HISTORY PANEL
+    // ============================================================================
+
+    async function open() {
+        selectedOrderId = null;
+        modalElement.classList.add('visible');
+        await renderList();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Render the filtered order list and the selected order's details
+     */
+    async function renderList() {
+        let orders = [];
+        try {
+            orders = await searchOrders({ query: searchInput.value, date: dateInput.value });
+        } catch (error) {
+            console.error('[Orders] Failed to read orders:', error);
+            listElement.innerHTML = `<p class="no-detection">Could not read order history: ${Utils.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        if (orders.length === 0) {
+            listElement.innerHTML = '<p class="no-detection">No orders found</p>';
+        } else {
+            listElement.innerHTML = orders.map(order => `
+                <div class="history-row ${order.orderId === selectedOrderId ? 'selected' : ''}" onclick="Orders.showDetails('${order.orderId}')">
+                    <div class="catalog-info">
+                        <span class="cart-item-name">${Utils.escapeHtml(order.orderId)}</span>
+                        <span class="cart-item-name-en">${new Date(order.timestamp).toLocaleString()} · ${order.itemsCount} item${order.itemsCount === 1 ? '' : 's'}${order.cashier ? ` · ${Utils.escapeHtml(order.cashier.name)}` : ''}</span>
+                        ${order.refund ? '<span class="cart-item-name-en refund-note">↩ Refunded</span>' : ''}
+                    </div>
+                    <span class="cart-item-price">${order.total.toLocaleString()} DZD</span>
+                </div>
+            `).join('');
+        }
+
+        await renderDetails();
+    }
+
+    /**
+     * Select an order and show its details
+     * @param {string} orderId - Order ID
+     */
+    async function showDetails(orderId) {
+        selectedOrderId = orderId;
+        await renderList();
+    }
+
+    async function renderDetails() {
+        const order = selectedOrderId ? await getOrder(selectedOrderId) : null;
+        if (!order) {
+            detailsElement.innerHTML = '<p class="no-detection">Select an order to see its details</p>';
+            return;
+        }
+
+        const escape = Utils.escapeHtml;
+        detailsElement.innerHTML = `
+            <h3>${escape(order.orderId)}</h3>
+            <p class="cart-item-name-en">${new Date(order.timestamp).toLocaleString()}${order.cashier ? ` · Cashier: ${escape(order.cashier.name)}` : ''}</p>
+            <table class="order-table">
+                <thead>
+                    <tr><th>Product</th><th>Qty</th><th>Price</th><th>Subtotal</th></tr>
+                </thead>
+                <tbody>
+                    ${order.items.map(item => `
+                        <tr>
+                            <td>
+                                ${escape(item.nameAr)} / ${escape(item.nameEn)}
+                                ${countPickedScans(item) > 0 ? `<br><span class="cart-item-name-en">${countPickedScans(item)} picked by cashier</span>` : ''}
+                                ${countManualEntries(item) > 0 ? `<br><span class="cart-item-name-en">${countManualEntries(item)} entered by hand</span>` : ''}
+                            </td>
+                            <td>${item.quantity}</td>
+                            <td>${item.price} DZD</td>
+                            <td>${item.lineTotal.toLocaleString()} DZD</td>
+                        </tr>
+                    `).join('')}
+                    ${order.discounts.map(discount => `
+                        <tr class="order-discount">
+                            <td colspan="3">
+                                🏷 ${escape(discount.name)}
+                                <br><span class="cart-item-name-en">${escape(discount.description)}</span>
+                            </td>
+                            <td>−${discount.amount.toLocaleString()} DZD</td>
+                        </tr>
+                    `).join('')}
+                    ${order.serviceCharge > 0 ? `
+                        <tr><td colspan="3">Service ${order.serviceChargeRate}%</td><td>${order.serviceCharge.toLocaleString()} DZD</td></tr>
+                    ` : ''}
+                </tbody>
+                <tfoot>
+                    ${order.taxes.map(entry => `
+                        <tr class="order-tax">
+                            <td colspan="3">${escape(Tax.formatTaxLabel(entry, order.taxLabel))}${order.pricesIncludeTax ? ' (included)' : ''} on ${entry.base.toLocaleString()} DZD</td>
+                            <td>${entry.amount.toLocaleString()} DZD</td>
+                        </tr>
+                    `).join('')}
+                    <tr><td colspan="3">Total</td><td>${order.total.toLocaleString()} DZD</td></tr>
+                </tfoot>
+            </table>
+            ${order.payment ? `
+                <p class="cart-item-name-en">
+                    Paid by ${escape(Checkout.getMethodLabel(order.payment.method))}
+                    · tendered ${order.payment.tendered.toLocaleString()} DZD
+                    · change ${order.payment.change.toLocaleString()} DZD
+                </p>
+            ` : ''}
+            ${order.refund ? `
+                <p class="cart-item-name-en refund-note">
+                    ↩ Refunded ${order.refund.amount.toLocaleString()} DZD on ${new Date(order.refund.refundedAt).toLocaleString()}
+                    ${order.refund.by ? ` by ${escape(order.refund.by.name)}` : ''}
+                    ${order.refund.approvedBy ? ` · approved by ${escape(order.refund.approvedBy.name)}` : ''}
+                </p>
+            ` : ''}
+            <div class="form-actions">
+                <button class="btn btn-primary btn-small" onclick="Orders.reprint('${order.orderId}')">🖨 Receipt</button>
+                <button class="btn btn-secondary btn-small" onclick="Orders.reexport('${order.orderId}', 'json')">📤 Export JSON</button>
+                <button class="btn btn-secondary btn-small" onclick="Orders.reexport('${order.orderId}', 'csv')">📤 Export CSV</button>
+                ${order.refund ? '' : `<button class="btn btn-danger btn-small" onclick="Orders.refund('${order.orderId}')">↩ Refund</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Count the units of a line the cashier picked instead of the model deciding
+     * @param {Object} item - Order line
+     * @returns {number} Picked scans
+     */
+    function countPickedScans(item) {
+        return (item.scans || []).filter(scan => scan.resolution === 'picked' || scan.resolution === 'manual').length;
+    }
+
+    /**
+     * Count the units of a line tapped in the product grid instead of scanned
+     * @param {Object} item - Order line
+     * @returns {number} Manual entries
+     */
+    function countManualEntries(item) {
+        return (item.scans || []).filter(scan => scan.source === 'manual').length;
+    }
+
+    /**
+     * Show a stored order's receipt for re-printing
+     * @param {string} orderId - Order ID
+     */
+    async function reprint(orderId) {
+        const order = await getOrder(orderId);
+        if (order) {
+            Receipt.show(order, '🧾 Receipt (Copy)');
+        }
+    }
+
+    /**
+     * Refund an order from the history panel, once a manager approves
+     * The refund is paid from the open shift's drawer
+     * @param {string} orderId - Order ID
+     */
+    async function refund(orderId) {
+        const order = await getOrder(orderId);
+        if (!order || order.refund) return;
+
+        if (!Shifts.isOpen()) {
+            alert('Open a shift before refunding: the refund is paid from its drawer.');
+            return;
+        }
+
+        const manager = await Users.requireManager(`Refund order ${order.orderId} (${order.total.toLocaleString()} DZD)`);
+        if (!manager) return;
+        if (!confirm(`Refund ${order.total.toLocaleString()} DZD to the customer?`)) return;
+
+        try {
+            const refunded = await refundOrder(orderId, manager);
+            Stats.addRefund(refunded.refund.amount, refunded.refund.method, refunded.timestamp);
+        } catch (error) {
+            console.error('[Orders] Refund failed:', error);
+            alert('Refund failed: ' + error.message);
+        }
+        await renderList();
+    }
+
+    /**
+     * Export a stored order again
+     * @param {string} orderId - Order ID
+     * @param {string} format - 'json' or 'csv'
+     */
+    async function reexport(orderId, format = 'json') {
+        const order = await getOrder(orderId);
+        if (!order) return;
+
+        const result = Export.exportOrder(order, format);
+        if (!result.success) {
+            alert('Export failed: ' + result.error);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        saveOrder,
+        refundOrder,
+        getOrder,
+        getAllOrders,
+        searchOrders,
+        toLocalDate,
+        countPickedScans,
+        open,
+        close,
+        showDetails,
+        reprint,
+        reexport,
+        refund
+    };
+})();
@@ -0,0 +1,771 @@
+/**
+ * Pricing Module
+ * Discount and promotion rules persisted in localStorage, and the engine
+ * that applies them to the cart
+ *
+ * Rule types:
+ * - percent: percentage off the order or off selected products
+ * - fixed: amount off the order, or off each unit of selected products
+ * - bundle: one unit of each selected product for a combo price
+ * - buy_get: buy N of the selected products, the cheapest next one is free
+ *
+ * Any rule can be limited to days of the week and a time window (happy
+ * hours), and can be marked as cashier-applied (e.g. staff discount)
+ * instead of applying automatically
+ */
+
+const Pricing = (function() {
+    'use strict';
+
+    const RULE_TYPES = [
+        { id: 'percent', label: 'Percentage off' },
+        { id: 'fixed', label: 'Amount off' },
+        { id: 'bundle', label: 'Combo price' },
+        { id: 'buy_get', label: 'Buy N, get one free' }
+    ];
+
+    const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // Unit-level rules run first and use up the units they discount, so a
+    // unit never gets two of them; order discounts then apply to what is left
+    const RULE_ORDER = ['bundle', 'buy_get', 'products', 'order'];
+
+    // Storage key
+    const STORAGE_KEY = 'pos_pricing_rules';
+
+    // Private state
+    let rules = [];
+    let listeners = [];
+
+    // DOM Elements
+    const modalElement = document.getElementById('pricingModal');
+    const listElement = document.getElementById('pricingList');
+    const formElement = document.getElementById('pricingForm');
+    const formTitleElement = document.getElementById('pricingFormTitle');
+    const errorsElement = document.getElementById('pricingErrors');
+    const productsElement = document.getElementById('pricingProducts');
+    const daysElement = document.getElementById('pricingDays');
+    const fields = {
+        id: document.getElementById('pricingRuleId'),
+        name: document.getElementById('pricingName'),
+        type: document.getElementById('pricingType'),
+        scope: document.getElementById('pricingScope'),
+        value: document.getElementById('pricingValue'),
+        valueLabel: document.getElementById('pricingValueLabel'),
+        buyQuantity: document.getElementById('pricingBuyQuantity'),
+        startTime: document.getElementById('pricingStartTime'),
+        endTime: document.getElementById('pricingEndTime'),
+        manual: document.getElementById('pricingManual')
+    };
+
+    /**
+     * Initialize pricing module
+     * Loads the rules and sets up the promotions screen
+     */
+    function init() {
+        loadRules();
+
+        fields.type.innerHTML = RULE_TYPES
+            .map(type => `<option value="${type.id}">${type.label}</option>`)
+            .join('');
+        daysElement.innerHTML = DAY_LABELS.map((label, day) => `
+            <label class="checkbox-field">
+                <input type="checkbox" value="${day}"> ${label}
+            </label>
+        `).join('');
+
+        document.getElementById('openPricingBtn').addEventListener('click', async () => {
+            if (await Users.requireManager('Edit discounts and promotions')) {
+                open();
+            }
+        });
+        document.getElementById('pricingResetBtn').addEventListener('click', resetForm);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        fields.type.addEventListener('change', updateFormFields);
+        fields.scope.addEventListener('change', updateFormFields);
+        formElement.addEventListener('submit', handleSubmit);
+        Catalog.onChange(() => {
+            if (modalElement.classList.contains('visible')) {
+                render();
+            }
+        });
+
+        console.log('[Pricing] Module initialized with', rules.length, 'rules');
+    }
+
+    /**
+     * Load rules from localStorage
+     */
+    function loadRules() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                rules = JSON.parse(stored);
+                console.log('[Pricing] Loaded from storage');
+            }
+        } catch (error) {
+            console.error('[Pricing] Failed to load from storage:', error);
+        }
+    }
+
+    /**
+     * Save rules to localStorage and notify listeners
+     */
+    function saveRules() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+            console.log('[Pricing] Saved to storage');
+        } catch (error) {
+            console.error('[Pricing] Failed to save to storage:', error);
+        }
+        listeners.forEach(listener => listener(getRules()));
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    function copyRule(rule) {
+        return { ...rule, productIds: [...rule.productIds], days: [...rule.days] };
+    }
+
+    /**
+     * Get all rules
+     * @returns {Array} Rules including inactive ones
+     */
+    function getRules() {
+        return rules.map(copyRule);
+    }
+
+    function getRuleById(id) {
+        const rule = rules.find(r => r.id === id);
+        return rule ? copyRule(rule) : null;
+    }
+
+    /**
+     * Get the active rules the cashier applies by hand
+     * @returns {Array} Rules
+     */
+    function getManualRules() {
+        return rules.filter(rule => rule.active && rule.manual).map(copyRule);
+    }
+
+    /**
+     * Parse 'HH:MM' into minutes after midnight
+     * @param {string} time - Time string
+     * @returns {number|null} Minutes, or null when empty or invalid
+     */
+    function parseTime(time) {
+        const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return null;
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    /**
+     * Check a rule's days and time window
+     * Windows ending before they start run past midnight (e.g. 22:00-02:00)
+     * @param {Object} rule - Rule
+     * @param {Date} now - Time to check
+     * @returns {boolean} True when the rule is in effect at that time
+     */
+    function isInSchedule(rule, now) {
+        if (rule.days.length > 0 && !rule.days.includes(now.getDay())) {
+            return false;
+        }
+
+        const start = parseTime(rule.startTime);
+        const end = parseTime(rule.endTime);
+        if (start === null || end === null) {
+            return true;
+        }
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        return start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Check whether a rule applies right now
+     * @param {Object} rule - Rule
+     * @param {Object} options - { now: Date, manualRuleIds: Array<number> }
+     * @returns {boolean} True when the rule should be applied
+     */
+    function isRuleApplicable(rule, options) {
+        if (!rule.active || !isInSchedule(rule, options.now)) {
+            return false;
+        }
+        return !rule.manual || options.manualRuleIds.includes(rule.id);
+    }
+
+    // ============================================================================
+    // PRICING ENGINE
+    // ============================================================================
+
+    /**
+     * Describe a rule in a few words, e.g. "20% off" or "Coffee + Water for 110 DZD"
+     * @param {Object} rule - Rule
+     * @returns {string} Description
+     */
+    function describeRule(rule) {
+        const names = rule.productIds
+            .map(id => Catalog.getProductById(id))
+            .filter(Boolean)
+            .map(product => product.nameEn);
+        const target = rule.scope === 'order' ? 'the order' : names.join(', ');
+
+        let text;
+        switch (rule.type) {
+            case 'percent':
+                text = `${rule.value}% off ${target}`;
+                break;
+            case 'fixed':
+                text = rule.scope === 'order'
+                    ? `${rule.value} DZD off the order`
+                    : `${rule.value} DZD off each ${target}`;
+                break;
+            case 'bundle':
+                text = `${names.join(' + ')} for ${rule.value} DZD`;
+                break;
+            case 'buy_get':
+                text = `Buy ${rule.buyQuantity} ${names.join(' / ')}, get one free`;
+                break;
+            default:
+                text = rule.type;
+        }
+
+        const days = rule.days.length > 0 && rule.days.length < 7
+            ? ` · ${rule.days.map(day => DAY_LABELS[day]).join(', ')}`
+            : '';
+        const hours = parseTime(rule.startTime) !== null && parseTime(rule.endTime) !== null
+            ? ` · ${rule.startTime}-${rule.endTime}`
+            : '';
+        return text + days + hours;
+    }
+
+    /**
+     * Expand cart lines into single units, most expensive first
+     * @param {Array} items - Cart lines
+     * @returns {Array} Units { productId, price, used, discount }
+     */
+    function expandUnits(items) {
+        const units = [];
+        items.forEach(item => {
+            for (let i = 0; i < item.quantity; i++) {
+                units.push({ productId: item.productId, price: item.price, used: false, discount: 0 });
+            }
+        });
+        return units.sort((a, b) => b.price - a.price);
+    }
+
+    /**
+     * Combo: one unit of each product for the bundle price, as many times as
+     * the cart allows, when that is cheaper than the regular prices
+     * @returns {Array} Shares [{ unit, value }] of the discount
+     */
+    function applyBundle(rule, units) {
+        const shares = [];
+
+        while (true) {
+            const bundle = rule.productIds.map(productId =>
+                units.find(unit => !unit.used && unit.productId === productId));
+            if (bundle.some(unit => !unit)) {
+                break;
+            }
+
+            const regular = bundle.reduce((sum, unit) => sum + unit.price, 0);
+            if (regular <= rule.value) {
+                break;
+            }
+            bundle.forEach(unit => {
+                unit.used = true;
+                shares.push({ unit: unit, value: (regular - rule.value) * unit.price / regular });
+            });
+        }
+
+        return shares;
+    }
+
+    /**
+     * Buy N get one: every group of N + 1 eligible units makes its cheapest unit free
+     * Units are grouped from the most expensive down, so the customer gets
+     * the cheapest units free without the shop giving away the best ones
+     * @returns {Array} Shares [{ unit, value }] of the discount
+     */
+    function applyBuyGet(rule, units) {
+        const eligible = units.filter(unit => !unit.used && rule.productIds.includes(unit.productId));
+        const groupSize = rule.buyQuantity + 1;
+        const shares = [];
+
+        for (let start = 0; start + groupSize <= eligible.length; start += groupSize) {
+            const group = eligible.slice(start, start + groupSize);
+            group.forEach(unit => { unit.used = true; });
+            shares.push({ unit: group[group.length - 1], value: group[group.length - 1].price });
+        }
+
+        return shares;
+    }
+
+    /**
+     * Percentage or amount off each remaining unit of the selected products
+     * @returns {Array} Shares [{ unit, value }] of the discount
+     */
+    function applyProductDiscount(rule, units) {
+        return units
+            .filter(unit => !unit.used && rule.productIds.includes(unit.productId))
+            .map(unit => {
+                unit.used = true;
+                return {
+                    unit: unit,
+                    value: rule.type === 'percent'
+                        ? unit.price * rule.value / 100
+                        : Math.min(rule.value, unit.price)
+                };
+            });
+    }
+
+    /**
+     * Percentage or amount off what is left of the order, shared over the
+     * units by what is left of their price
+     * @returns {Array} Shares [{ unit, value }] of the discount
+     */
+    function applyOrderDiscount(rule, units) {
+        const remaining = units.reduce((sum, unit) => sum + unit.price - unit.discount, 0);
+        if (remaining <= 0) {
+            return [];
+        }
+
+        const amount = rule.type === 'percent' ? remaining * rule.value / 100 : Math.min(rule.value, remaining);
+        return units.map(unit => ({
+            unit: unit,
+            value: amount * (unit.price - unit.discount) / remaining
+        }));
+    }
+
+    function getRuleStage(rule) {
+        if (rule.type === 'bundle' || rule.type === 'buy_get') {
+            return rule.type;
+        }
+        return rule.scope === 'order' ? 'order' : 'products';
+    }
+
+    /**
+     * Sum units per product
+     * @param {Array} units - Units
+     * @returns {Array} Lines [{ productId, gross, discount, net }]
+     */
+    function summarizeUnits(units) {
+        const lines = new Map();
+        units.forEach(unit => {
+            const line = lines.get(unit.productId) || { productId: unit.productId, gross: 0, discount: 0, net: 0 };
+            line.gross += unit.price;
+            line.discount += unit.discount;
+            line.net = line.gross - line.discount;
+            lines.set(unit.productId, line);
+        });
+        return Array.from(lines.values());
+    }
+
+    /**
+     * Price cart lines with the rules in effect
+     * Discounts are whole DZD; each one is shared over the units it applies
+     * to, so taxes can be worked out per product after discounts
+     * @param {Array} items - Cart lines { productId, price, quantity }
+     * @param {Object} options - { now: Date, manualRuleIds: Array<number> }
+     * @returns {Object} { subtotal, discounts: [{ ruleId, name, description, amount }],
+     *   discountTotal, total, lines: [{ productId, gross, discount, net }] }
+     */
+    function priceItems(items, options = {}) {
+        const settings = {
+            now: options.now || new Date(),
+            manualRuleIds: options.manualRuleIds || []
+        };
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const units = expandUnits(items);
+        const discounts = [];
+        let remaining = subtotal;
+
+        const applicable = rules
+            .filter(rule => isRuleApplicable(rule, settings))
+            .sort((a, b) => RULE_ORDER.indexOf(getRuleStage(a)) - RULE_ORDER.indexOf(getRuleStage(b)));
+
+        applicable.forEach(rule => {
+            let shares;
+            switch (getRuleStage(rule)) {
+                case 'bundle':
+                    shares = applyBundle(rule, units);
+                    break;
+                case 'buy_get':
+                    shares = applyBuyGet(rule, units);
+                    break;
+                case 'products':
+                    shares = applyProductDiscount(rule, units);
+                    break;
+                default:
+                    shares = applyOrderDiscount(rule, units);
+            }
+
+            const exact = shares.reduce((sum, share) => sum + share.value, 0);
+            const amount = Math.min(Math.round(exact), remaining);
+            if (amount > 0) {
+                shares.forEach(share => {
+                    share.unit.discount += amount * share.value / exact;
+                });
+                remaining -= amount;
+                discounts.push({
+                    ruleId: rule.id,
+                    name: rule.name,
+                    description: describeRule(rule),
+                    amount: amount
+                });
+            }
+        });
+
+        return {
+            subtotal: subtotal,
+            discounts: discounts,
+            discountTotal: subtotal - remaining,
+            total: remaining,
+            lines: summarizeUnits(units)
+        };
+    }
+
+    // ============================================================================
+    // EDITING
+    // ============================================================================
+
+    /**
+     * Validate rule data
+     * @param {Object} data - Rule fields
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    function validateRule(data) {
+        const errors = [];
+        const usesProducts = data.type === 'bundle' || data.type === 'buy_get' || data.scope !== 'order';
+
+        if (!data.name || !data.name.trim()) {
+            errors.push('Name is required.');
+        }
+        if (!RULE_TYPES.some(type => type.id === data.type)) {
+            errors.push('Unknown discount type.');
+        }
+        if (typeof data.value !== 'number' || !isFinite(data.value) || data.value < 0) {
+            errors.push('Value must be a number of 0 or more.');
+        } else if (data.type === 'percent' && (data.value <= 0 || data.value > 100)) {
+            errors.push('Percentage must be between 1 and 100.');
+        } else if (data.type === 'fixed' && data.value <= 0) {
+            errors.push('Amount must be more than 0 DZD.');
+        }
+        if (data.type === 'buy_get' && (!Number.isInteger(data.buyQuantity) || data.buyQuantity < 1)) {
+            errors.push('"Buy" quantity must be a whole number of 1 or more.');
+        }
+        if (usesProducts && data.productIds.length === 0) {
+            errors.push('Select at least one product.');
+        }
+        if (data.type === 'bundle' && data.productIds.length < 2) {
+            errors.push('A combo needs at least two products.');
+        }
+
+        const start = parseTime(data.startTime);
+        const end = parseTime(data.endTime);
+        if ((data.startTime && start === null) || (data.endTime && end === null)) {
+            errors.push('Times must be in HH:MM format.');
+        } else if ((start === null) !== (end === null)) {
+            errors.push('Set both the start and end time, or neither.');
+        } else if (start !== null && start === end) {
+            errors.push('Start and end time must differ.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Clean up rule fields
+     * @param {Object} data - Rule fields
+     * @returns {Object} Rule without fields its type does not use
+     */
+    function normalizeRule(data) {
+        const type = data.type;
+        const scope = type === 'bundle' || type === 'buy_get' ? 'products' : (data.scope === 'order' ? 'order' : 'products');
+
+        return {
+            id: data.id,
+            name: (data.name || '').trim(),
+            type: type,
+            scope: scope,
+            value: type === 'buy_get' ? 0 : data.value,
+            buyQuantity: type === 'buy_get' ? data.buyQuantity : null,
+            productIds: scope === 'order' ? [] : [...new Set(data.productIds || [])],
+            days: [...new Set(data.days || [])].sort((a, b) => a - b),
+            startTime: data.startTime || '',
+            endTime: data.endTime || '',
+            manual: Boolean(data.manual),
+            active: data.active !== false
+        };
+    }
+
+    /**
+     * Add a new rule
+     * @param {Object} data - Rule fields
+     * @returns {Object} Result with success and rule or errors
+     */
+    function addRule(data) {
+        const rule = normalizeRule({
+            ...data,
+            id: rules.reduce((max, r) => Math.max(max, r.id), 0) + 1
+        });
+
+        const errors = validateRule(rule);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        rules.push(rule);
+        saveRules();
+        render();
+        console.log('[Pricing] Added rule:', rule.name);
+        return { success: true, rule: copyRule(rule) };
+    }
+
+    /**
+     * Update an existing rule
+     * @param {number} id - Rule ID
+     * @param {Object} changes - Fields to change
+     * @returns {Object} Result with success and rule or errors
+     */
+    function updateRule(id, changes) {
+        const index = rules.findIndex(r => r.id === id);
+        if (index === -1) {
+            return { success: false, errors: ['Rule not found.'] };
+        }
+
+        const updated = normalizeRule({ ...rules[index], ...changes, id: id });
+        const errors = validateRule(updated);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        rules[index] = updated;
+        saveRules();
+        render();
+        console.log('[Pricing] Updated rule:', updated.name);
+        return { success: true, rule: copyRule(updated) };
+    }
+
+    /**
+     * Delete a rule (past orders keep their recorded discounts)
+     * @param {number} id - Rule ID
+     */
+    function deleteRule(id) {
+        const rule = getRuleById(id);
+        if (!rule || !confirm(`Delete "${rule.name}"?`)) return;
+
+        rules = rules.filter(r => r.id !== id);
+        saveRules();
+        render();
+        resetForm();
+        console.log('[Pricing] Deleted rule:', rule.name);
+    }
+
+    /**
+     * Register a listener called with the rules after each change
+     * @param {Function} listener - Change callback
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // ============================================================================
+    // PROMOTIONS SCREEN
+    // ============================================================================
+
+    function open() {
+        resetForm();
+        render();
+        modalElement.classList.add('visible');
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Render the rule list and the product choices of the form
+     */
+    function render() {
+        const escape = Utils.escapeHtml;
+
+        if (rules.length === 0) {
+            listElement.innerHTML = '<p class="no-detection">No discounts or promotions yet. Add one below.</p>';
+        } else {
+            listElement.innerHTML = rules.map(rule => `
+                <div class="catalog-row ${rule.active ? '' : 'inactive'}">
+                    <div class="catalog-info">
+                        <span class="cart-item-name">${escape(rule.name)}</span>
+                        <span class="cart-item-name-en">${escape(describeRule(rule))}</span>
+                        <span class="cart-item-name-en">${rule.manual ? 'Applied by the cashier' : 'Applied automatically'}</span>
+                    </div>
+                    <div class="catalog-actions">
+                        <button class="btn btn-secondary btn-small" onclick="Pricing.editRule(${rule.id})">Edit</button>
+                        <button class="btn ${rule.active ? 'btn-warning' : 'btn-success'} btn-small" onclick="Pricing.toggleActive(${rule.id})">
+                            ${rule.active ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button class="btn btn-danger btn-small" onclick="Pricing.deleteRule(${rule.id})">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        const selected = getCheckedValues(productsElement);
+        productsElement.innerHTML = Catalog.getAllProducts().map(product => `
+            <label class="checkbox-field">
+                <input type="checkbox" value="${product.id}" ${selected.includes(product.id) ? 'checked' : ''}>
+                ${escape(product.nameEn)} / <span dir="rtl">${escape(product.nameAr)}</span> · ${product.price} DZD
+            </label>
+        `).join('') || '<p class="no-detection">No products in the catalog.</p>';
+    }
+
+    function getCheckedValues(container) {
+        return Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => Number(input.value));
+    }
+
+    function setCheckedValues(container, values) {
+        container.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = values.includes(Number(input.value));
+        });
+    }
+
+    /**
+     * Show only the fields the selected rule type uses
+     */
+    function updateFormFields() {
+        const type = fields.type.value;
+        const fixedScope = type === 'bundle' || type === 'buy_get';
+        const scope = fixedScope ? 'products' : fields.scope.value;
+
+        fields.scope.closest('label').classList.toggle('hidden', fixedScope);
+        fields.buyQuantity.closest('label').classList.toggle('hidden', type !== 'buy_get');
+        fields.value.closest('label').classList.toggle('hidden', type === 'buy_get');
+        productsElement.closest('.pricing-products').classList.toggle('hidden', scope === 'order');
+        fields.valueLabel.textContent = {
+            percent: 'Discount (%)',
+            fixed: scope === 'order' ? 'Amount Off (DZD)' : 'Amount Off Each (DZD)',
+            bundle: 'Combo Price (DZD)'
+        }[type] || 'Value';
+    }
+
+    /**
+     * Load a rule into the form for editing
+     * @param {number} id - Rule ID
+     */
+    function editRule(id) {
+        const rule = getRuleById(id);
+        if (!rule) return;
+
+        fields.id.value = rule.id;
+        fields.name.value = rule.name;
+        fields.type.value = rule.type;
+        fields.scope.value = rule.scope;
+        fields.value.value = rule.type === 'buy_get' ? '' : rule.value;
+        fields.buyQuantity.value = rule.buyQuantity || '';
+        fields.startTime.value = rule.startTime;
+        fields.endTime.value = rule.endTime;
+        fields.manual.checked = rule.manual;
+        setCheckedValues(productsElement, rule.productIds);
+        setCheckedValues(daysElement, rule.days);
+        formTitleElement.textContent = `Edit ${rule.name}`;
+        updateFormFields();
+        showErrors([]);
+    }
+
+    /**
+     * Toggle a rule's active state from the list
+     * @param {number} id - Rule ID
+     */
+    function toggleActive(id) {
+        const rule = getRuleById(id);
+        if (!rule) return;
+
+        const result = updateRule(id, { active: !rule.active });
+        if (!result.success) {
+            alert(result.errors.join('\n'));
+        }
+    }
+
+    /**
+     * Clear the form back to "add rule" mode
+     */
+    function resetForm() {
+        formElement.reset();
+        fields.id.value = '';
+        setCheckedValues(productsElement, []);
+        setCheckedValues(daysElement, []);
+        formTitleElement.textContent = 'Add Discount';
+        updateFormFields();
+        showErrors([]);
+    }
+
+    /**
+     * Handle form submit for add/edit
+     * @param {Event} event - Submit event
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+
+        const data = {
+            name: fields.name.value,
+            type: fields.type.value,
+            scope: fields.scope.value,
+            value: fields.value.value === '' ? NaN : Number(fields.value.value),
+            buyQuantity: fields.buyQuantity.value === '' ? NaN : Number(fields.buyQuantity.value),
+            productIds: getCheckedValues(productsElement),
+            days: getCheckedValues(daysElement),
+            startTime: fields.startTime.value,
+            endTime: fields.endTime.value,
+            manual: fields.manual.checked
+        };
+
+        const editingId = fields.id.value ? Number(fields.id.value) : null;
+        const result = editingId ? updateRule(editingId, data) : addRule(data);
+
+        if (result.success) {
+            resetForm();
+        } else {
+            showErrors(result.errors);
+        }
+    }
+
+    /**
+     * Show validation errors under the form
+     * @param {Array<string>} errors - Error messages
+     */
+    function showErrors(errors) {
+        errorsElement.innerHTML = errors.map(error => `<p>${Utils.escapeHtml(error)}</p>`).join('');
+        errorsElement.classList.toggle('visible', errors.length > 0);
+    }
+
+    // Public API
+    return {
+        init,
+        getRules,
+        getRuleById,
+        getManualRules,
+        isInSchedule,
+        describeRule,
+        priceItems,
+        validateRule,
+        addRule,
+        updateRule,
+        deleteRule,
+        onChange,
+        open,
+        close,
+        editRule,
+        toggleActive
+    };
+})();
@@ -0,0 +1,146 @@
+/**
+ * Product Grid Module
+ * Touch-friendly product buttons for adding items by hand, so the cashier
+ * can keep selling when the camera fails or the model mislabels a product
+ * Products are grouped by category and searchable in Arabic and English
+ */
+
+const ProductGrid = (function() {
+    'use strict';
+
+    const UNCATEGORIZED = 'Other';
+
+    // Private state
+    let query = '';
+
+    // DOM Elements
+    const gridElement = document.getElementById('productGrid');
+    const searchInput = document.getElementById('productGridSearch');
+
+    /**
+     * Initialize product grid module
+     */
+    function init() {
+        searchInput.addEventListener('input', () => {
+            query = searchInput.value;
+            render();
+        });
+        searchInput.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                clearSearch();
+            }
+        });
+        Catalog.onChange(render);
+        render();
+        console.log('[ProductGrid] Module initialized');
+    }
+
+    /**
+     * Normalize text for searching: case-insensitive, and Arabic matches
+     * without diacritics or hamza/taa marbuta/alef maqsura variants
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    function normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+            .replace(/[\u0622\u0623\u0625]/g, '\u0627')
+            .replace(/\u0629/g, '\u0647')
+            .replace(/\u0649/g, '\u064A')
+            .trim();
+    }
+
+    /**
+     * Filter active products by an Arabic or English name (or category) fragment
+     * @param {string} text - Search text
+     * @returns {Array} Matching products in catalog order
+     */
+    function searchProducts(text) {
+        const needle = normalize(text);
+        const products = Detection.getProducts();
+        if (!needle) {
+            return products;
+        }
+
+        return products.filter(product =>
+            [product.nameAr, product.nameEn, product.category]
+                .some(value => normalize(value).includes(needle)));
+    }
+
+    /**
+     * Group products by category, keeping the catalog order of the first product in each group
+     * @param {Array} products - Products
+     * @returns {Array} [{ category, products }]
+     */
+    function groupByCategory(products) {
+        const groups = new Map();
+        products.forEach(product => {
+            const category = product.category || UNCATEGORIZED;
+            if (!groups.has(category)) {
+                groups.set(category, []);
+            }
+            groups.get(category).push(product);
+        });
+
+        return Array.from(groups, ([category, items]) => ({ category, products: items }));
+    }
+
+    /**
+     * Render the product buttons for the current search
+     */
+    function render() {
+        const escape = Utils.escapeHtml;
+        const groups = groupByCategory(searchProducts(query));
+
+        if (groups.length === 0) {
+            gridElement.innerHTML = query.trim()
+                ? `<p class="no-detection">No products match "${escape(query.trim())}"</p>`
+                : '<p class="no-detection">No active products. Add some in the Product Catalog.</p>';
+            return;
+        }
+
+        gridElement.innerHTML = groups.map(group => `
+            <div class="product-grid-group">
+                <h4>${escape(group.category)}</h4>
+                <div class="product-grid-buttons">
+                    ${group.products.map(product => `
+                        <button type="button" class="product-grid-btn" onclick="ProductGrid.addProduct(${product.id})">
+                            <span class="product-grid-name-ar" dir="rtl">${escape(product.nameAr)}</span>
+                            <span class="product-grid-name-en">${escape(product.nameEn)}</span>
+                            <span class="product-grid-price">${product.price} DZD</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Add one unit of a product to the cart, marked as entered by hand
+     * @param {number} productId - Product ID
+     */
+    function addProduct(productId) {
+        const product = Detection.getProductById(productId);
+        if (!product || !product.active) return;
+
+        Cart.addItem(product, null, { source: 'manual' });
+        Stats.incrementItemsManual(1);
+        console.log('[ProductGrid] Added', product.nameEn, 'to cart');
+    }
+
+    function clearSearch() {
+        query = '';
+        searchInput.value = '';
+        render();
+    }
+
+    // Public API
+    return {
+        init,
+        searchProducts,
+        addProduct,
+        clearSearch,
+        render
+    };
+})();
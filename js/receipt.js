@@ -0,0 +1,258 @@
+/**
+ * Receipt Module
+ * Bilingual (Arabic RTL / English) receipts for 58mm and 80mm thermal printers
+ * Printed through the browser print dialog
+ */
+
+const Receipt = (function() {
+    'use strict';
+
+    // Header printed at the top of every receipt
+    const CAFE_HEADER = {
+        nameAr: 'مقهى',
+        nameEn: 'Cafe',
+        tagline: 'POS System with AI Camera Detection'
+    };
+
+    const PAPER_WIDTHS = [58, 80];
+    const STORAGE_KEY = 'pos_receipt_paper';
+
+    // Payment methods as printed (thermal printers cannot print emoji)
+    const PAYMENT_LABELS = {
+        cash: 'Cash / نقدا',
+        card: 'Card / بطاقة',
+        other: 'Other / أخرى'
+    };
+
+    // Private state
+    let currentOrder = null;
+
+    // DOM Elements
+    const modalElement = document.getElementById('receiptModal');
+    const titleElement = document.getElementById('receiptTitle');
+    const previewElement = document.getElementById('receiptPreview');
+    const paperSelect = document.getElementById('receiptPaper');
+    const printArea = document.getElementById('receiptPrintArea');
+    const pageStyleElement = document.getElementById('receiptPageStyle');
+
+    /**
+     * Initialize receipt module
+     */
+    function init() {
+        paperSelect.value = String(getPaperWidth());
+        paperSelect.addEventListener('change', () => {
+            setPaperWidth(Number(paperSelect.value));
+            render();
+        });
+        document.getElementById('printReceiptBtn').addEventListener('click', print);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-receipt');
+        });
+
+        console.log('[Receipt] Module initialized');
+    }
+
+    /**
+     * Get the selected paper width
+     * @returns {number} Width in mm
+     */
+    function getPaperWidth() {
+        const stored = Number(localStorage.getItem(STORAGE_KEY));
+        return PAPER_WIDTHS.includes(stored) ? stored : 80;
+    }
+
+    /**
+     * Remember the paper width for this device
+     * @param {number} width - 58 or 80
+     */
+    function setPaperWidth(width) {
+        if (PAPER_WIDTHS.includes(width)) {
+            localStorage.setItem(STORAGE_KEY, String(width));
+        }
+    }
+
+    /**
+     * Get a payment method's printed label
+     * @param {string} methodId - Payment method ID
+     * @returns {string} Label
+     */
+    function getPaymentLabel(methodId) {
+        return PAYMENT_LABELS[methodId] || methodId;
+    }
+
+    /**
+     * Build receipt markup for an order
+     * @param {Object} order - Stored order record
+     * @returns {string} Receipt HTML
+     */
+    function buildReceipt(order) {
+        const escape = Utils.escapeHtml;
+        const date = new Date(order.timestamp);
+
+        return `
+            <div class="receipt paper-${getPaperWidth()}">
+                <div class="receipt-header">
+                    <div class="receipt-cafe-ar" dir="rtl">${escape(CAFE_HEADER.nameAr)}</div>
+                    <div class="receipt-cafe-en">${escape(CAFE_HEADER.nameEn)}</div>
+                    <div class="receipt-small">${escape(CAFE_HEADER.tagline)}</div>
+                </div>
+                <div class="receipt-rule"></div>
+                <div class="receipt-meta">
+                    <div class="receipt-row"><span>Order / الطلب</span></div>
+                    <div class="receipt-small receipt-id">${escape(order.orderId)}</div>
+                    <div class="receipt-row">
+                        <span>${date.toLocaleDateString()}</span>
+                        <span>${date.toLocaleTimeString()}</span>
+                    </div>
+                    ${order.cashier ? `
+                        <div class="receipt-row receipt-small">
+                            <span>Cashier / أمين الصندوق</span>
+                            <span>${escape(order.cashier.name)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="receipt-rule"></div>
+                ${order.items.map(item => `
+                    <div class="receipt-line">
+                        <div class="receipt-row">
+                            <span dir="rtl">${escape(item.nameAr)}</span>
+                            <span>${item.lineTotal.toLocaleString()}</span>
+                        </div>
+                        <div class="receipt-row receipt-small">
+                            <span>${escape(item.nameEn)}</span>
+                            <span>${item.quantity} × ${item.price}</span>
+                        </div>
+                    </div>
+                `).join('')}
+                ${order.discounts.length > 0 ? `
+                    <div class="receipt-rule"></div>
+                    <div class="receipt-row receipt-small">
+                        <span>Subtotal / المجموع الفرعي</span>
+                        <span>${order.subtotal.toLocaleString()}</span>
+                    </div>
+                    ${order.discounts.map(discount => `
+                        <div class="receipt-row receipt-small">
+                            <span>${escape(discount.name)} / خصم</span>
+                            <span>−${discount.amount.toLocaleString()}</span>
+                        </div>
+                    `).join('')}
+                ` : ''}
+                <div class="receipt-rule"></div>
+                <div class="receipt-row receipt-small">
+                    <span>Items / العناصر</span>
+                    <span>${order.itemsCount}</span>
+                </div>
+                ${order.taxes.length > 0 ? `
+                    <div class="receipt-row receipt-small">
+                        <span>Total HT / المجموع دون رسوم</span>
+                        <span>${order.netTotal.toLocaleString()}</span>
+                    </div>
+                    ${order.taxes.map(entry => `
+                        <div class="receipt-row receipt-small">
+                            <span>${escape(Tax.formatTaxLabel(entry, order.taxLabel))} / الرسم</span>
+                            <span>${entry.amount.toLocaleString()}</span>
+                        </div>
+                    `).join('')}
+                ` : ''}
+                ${order.serviceCharge > 0 ? `
+                    <div class="receipt-row receipt-small">
+                        <span>Service ${order.serviceChargeRate}% / الخدمة</span>
+                        <span>${order.serviceCharge.toLocaleString()}</span>
+                    </div>
+                ` : ''}
+                <div class="receipt-row receipt-total">
+                    <span>Total${order.taxes.length > 0 ? ' TTC' : ''} / المجموع</span>
+                    <span>${order.total.toLocaleString()} DZD</span>
+                </div>
+                ${order.payment ? `
+                    <div class="receipt-row receipt-small">
+                        <span>Payment / الدفع</span>
+                        <span>${escape(getPaymentLabel(order.payment.method))}</span>
+                    </div>
+                    ${order.payment.method === 'cash' ? `
+                        <div class="receipt-row receipt-small">
+                            <span>Cash / نقدا</span>
+                            <span>${order.payment.tendered.toLocaleString()} DZD</span>
+                        </div>
+                        <div class="receipt-row receipt-small">
+                            <span>Change / الباقي</span>
+                            <span>${order.payment.change.toLocaleString()} DZD</span>
+                        </div>
+                    ` : ''}
+                ` : ''}
+                ${order.refund ? `
+                    <div class="receipt-rule"></div>
+                    <div class="receipt-row">
+                        <span>REFUNDED / مسترجع</span>
+                        <span>${order.refund.amount.toLocaleString()} DZD</span>
+                    </div>
+                    <div class="receipt-small">${new Date(order.refund.refundedAt).toLocaleString()}</div>
+                ` : ''}
+                <div class="receipt-rule"></div>
+                <div class="receipt-footer">
+                    <div dir="rtl">شكرا لزيارتكم</div>
+                    <div>Thank you for your visit</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the receipt for an order
+     * @param {Object} order - Stored order record
+     * @param {string} title - Dialog title
+     */
+    function show(order, title = '🧾 Receipt') {
+        currentOrder = order;
+        titleElement.textContent = title;
+        render();
+        modalElement.classList.add('visible');
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+        currentOrder = null;
+    }
+
+    function render() {
+        previewElement.innerHTML = currentOrder ? buildReceipt(currentOrder) : '';
+    }
+
+    /**
+     * Print the current receipt on the selected paper width
+     */
+    function print() {
+        if (!currentOrder) return;
+
+        printDocument(buildReceipt(currentOrder), getPaperWidth());
+        console.log('[Receipt] Printed', currentOrder.orderId, 'on', getPaperWidth() + 'mm paper');
+    }
+
+    /**
+     * Print thermal-paper markup (receipts, Z-reports)
+     * @param {string} html - Markup built with the .receipt classes
+     * @param {number} width - Paper width in mm
+     */
+    function printDocument(html, width) {
+        printArea.innerHTML = html;
+        pageStyleElement.textContent = `@page { size: ${width}mm auto; margin: 0; }`;
+        document.body.classList.add('printing-receipt');
+
+        window.print();
+    }
+
+    // Public API
+    return {
+        init,
+        getPaperWidth,
+        getPaymentLabel,
+        buildReceipt,
+        show,
+        close,
+        print,
+        printDocument
+    };
+})();
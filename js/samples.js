@@ -0,0 +1,383 @@
+/**
+ * Samples Module
+ * Collects camera frames with their correct model class as retraining data:
+ * frames of corrected or removed detections and manual captures
+ * Samples are kept in IndexedDB, reviewed in a gallery and exported as a
+ * ZIP of class-named folders ready to upload into Teachable Machine
+ */
+
+const Samples = (function() {
+    'use strict';
+
+    const STORE_NAME = 'samples';
+    const JPEG_QUALITY = 0.9;
+
+    // Why a sample was collected
+    const REASONS = {
+        corrected: 'Corrected detection',
+        removed: 'Removed from cart',
+        manual: 'Manual capture'
+    };
+
+    // Private state
+    let objectUrls = [];
+    let promptDetails = null;
+
+    // DOM Elements
+    const modalElement = document.getElementById('samplesModal');
+    const galleryElement = document.getElementById('samplesGallery');
+    const summaryElement = document.getElementById('samplesSummary');
+    const filterSelect = document.getElementById('samplesFilter');
+    const captureLabelSelect = document.getElementById('samplesCaptureLabel');
+    const countElement = document.getElementById('samplesCount');
+    const promptModalElement = document.getElementById('sampleCaptureModal');
+    const promptMessageElement = document.getElementById('sampleCaptureMessage');
+    const promptLabelSelect = document.getElementById('sampleCaptureLabel');
+
+    /**
+     * Initialize samples module
+     */
+    function init() {
+        document.getElementById('openSamplesBtn').addEventListener('click', open);
+        document.getElementById('samplesCaptureBtn').addEventListener('click', handleManualCapture);
+        document.getElementById('samplesExportBtn').addEventListener('click', handleExport);
+        document.getElementById('samplesClearBtn').addEventListener('click', handleClear);
+        document.getElementById('sampleCaptureSaveBtn').addEventListener('click', handlePromptSave);
+        filterSelect.addEventListener('change', render);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        promptModalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', closePrompt);
+        });
+
+        updateCount();
+        console.log('[Samples] Module initialized');
+    }
+
+    // ============================================================================
+    // SAMPLE STORE
+    // ============================================================================
+
+    /**
+     * Encode a captured frame as a JPEG
+     * @param {ImageData} imageData - Frame from Camera.captureFrame()
+     * @returns {Promise<Blob>} JPEG image
+     */
+    function imageDataToBlob(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode the frame'));
+                }
+            }, 'image/jpeg', JPEG_QUALITY);
+        });
+    }
+
+    /**
+     * Save a frame as a training sample
+     * @param {ImageData} imageData - Frame from Camera.captureFrame()
+     * @param {string} label - Correct model class
+     * @param {Object} details - { reason: 'corrected'|'removed'|'manual', predicted: { label, confidence } }
+     * @returns {Promise<Object>} Stored sample (without the image)
+     */
+    async function saveSample(imageData, label, details = {}) {
+        const cleanLabel = (label || '').trim();
+        if (!cleanLabel) {
+            throw new Error('A sample needs a class label');
+        }
+
+        const sample = {
+            id: `sample_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            label: cleanLabel,
+            capturedAt: new Date().toISOString(),
+            reason: REASONS[details.reason] ? details.reason : 'manual',
+            predicted: details.predicted || null,
+            width: imageData.width,
+            height: imageData.height,
+            image: await imageDataToBlob(imageData)
+        };
+
+        await DB.put(STORE_NAME, sample);
+        updateCount();
+
+        console.log('[Samples] Saved sample:', sample.label, `(${sample.reason})`);
+        const { image, ...stored } = sample;
+        return stored;
+    }
+
+    /**
+     * Capture the current camera frame as a sample
+     * @param {string} label - Correct model class
+     * @param {Object} details - See saveSample
+     * @returns {Promise<Object>} Stored sample
+     */
+    async function captureSample(label, details = {}) {
+        const frame = Camera.captureFrame();
+        if (!frame) {
+            throw new Error('Start the camera to capture samples');
+        }
+        return saveSample(frame, label, details);
+    }
+
+    /**
+     * Get all samples, newest first
+     * @returns {Promise<Array>} Samples
+     */
+    async function getAllSamples() {
+        const samples = await DB.getAll(STORE_NAME);
+        return samples.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+    }
+
+    /**
+     * Change a sample's label
+     * @param {string} id - Sample ID
+     * @param {string} label - New model class
+     */
+    async function relabel(id, label) {
+        const sample = await DB.get(STORE_NAME, id);
+        if (!sample || !label.trim()) return;
+
+        sample.label = label.trim();
+        await DB.put(STORE_NAME, sample);
+        console.log('[Samples] Relabelled', id, 'as', sample.label);
+    }
+
+    /**
+     * Relabel a sample from the gallery
+     * @param {string} id - Sample ID
+     * @param {string} label - New model class
+     */
+    async function changeLabel(id, label) {
+        await relabel(id, label);
+        await render();
+    }
+
+    /**
+     * Delete a sample
+     * @param {string} id - Sample ID
+     */
+    async function deleteSample(id) {
+        await DB.remove(STORE_NAME, id);
+        updateCount();
+        await render();
+    }
+
+    /**
+     * Build a ZIP with one folder per class label
+     * @returns {Promise<Object>} { blob, count, labels }
+     */
+    async function buildDatasetZip() {
+        const samples = await getAllSamples();
+        const files = await Promise.all(samples.map(async sample => ({
+            // Folder names become the class names in Teachable Machine
+            name: `${sample.label.replace(/[\\/:*?"<>|]/g, '_')}/${sample.id}.jpg`,
+            data: new Uint8Array(await sample.image.arrayBuffer())
+        })));
+
+        return {
+            blob: Zip.createZip(files),
+            count: samples.length,
+            labels: [...new Set(samples.map(sample => sample.label))]
+        };
+    }
+
+    // ============================================================================
+    // CAPTURE PROMPT (after removing a detected item)
+    // ============================================================================
+
+    /**
+     * Ask whether a removed item's scanned frame should be saved with its correct class
+     * @param {Object} details - { productName, frame: ImageData, predicted: { label, confidence } }
+     */
+    function promptCapture(details) {
+        promptDetails = details;
+        fillLabelSelect(promptLabelSelect, getKnownLabels(), 'Correct class…');
+        promptMessageElement.textContent =
+            `${details.productName} was removed from the cart. If the camera got it wrong, pick what was really in front of it to save the scanned frame as training data.`;
+        promptModalElement.classList.add('visible');
+    }
+
+    function closePrompt() {
+        promptModalElement.classList.remove('visible');
+        promptDetails = null;
+    }
+
+    async function handlePromptSave() {
+        if (!promptLabelSelect.value) {
+            alert('Pick the correct class first.');
+            return;
+        }
+
+        try {
+            await saveSample(promptDetails.frame, promptLabelSelect.value, {
+                reason: 'removed',
+                predicted: promptDetails.predicted
+            });
+            closePrompt();
+        } catch (error) {
+            alert('Saving sample failed: ' + error.message);
+        }
+    }
+
+    // ============================================================================
+    // GALLERY
+    // ============================================================================
+
+    /**
+     * Labels offered for samples: the model's labels
+     * @returns {Array<string>} Labels
+     */
+    function getKnownLabels() {
+        return Detection.getLabels().map(label => label.trim());
+    }
+
+    function fillLabelSelect(select, labels, placeholder) {
+        select.innerHTML = `<option value="">${Utils.escapeHtml(placeholder)}</option>` +
+            labels.map(label => `<option value="${Utils.escapeHtml(label)}">${Utils.escapeHtml(label)}</option>`).join('');
+    }
+
+    async function updateCount() {
+        try {
+            const samples = await DB.getAll(STORE_NAME);
+            countElement.textContent = samples.length > 0 ? ` (${samples.length})` : '';
+        } catch (error) {
+            console.error('[Samples] Failed to count samples:', error);
+        }
+    }
+
+    async function open() {
+        fillLabelSelect(captureLabelSelect, getKnownLabels(), 'Class…');
+        modalElement.classList.add('visible');
+        await render();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+        releaseThumbnails();
+    }
+
+    function releaseThumbnails() {
+        objectUrls.forEach(url => URL.revokeObjectURL(url));
+        objectUrls = [];
+    }
+
+    /**
+     * Render the per-class summary and the sample thumbnails
+     */
+    async function render() {
+        let samples = [];
+        try {
+            samples = await getAllSamples();
+        } catch (error) {
+            console.error('[Samples] Failed to read samples:', error);
+            galleryElement.innerHTML = `<p class="no-detection">Could not read samples: ${Utils.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        const labels = [...new Set([...getKnownLabels(), ...samples.map(sample => sample.label)])];
+        const counts = {};
+        samples.forEach(sample => {
+            counts[sample.label] = (counts[sample.label] || 0) + 1;
+        });
+
+        const filter = filterSelect.value;
+        fillLabelSelect(filterSelect, labels, 'All classes');
+        filterSelect.value = labels.includes(filter) ? filter : '';
+
+        summaryElement.textContent = samples.length === 0
+            ? 'No samples yet'
+            : `${samples.length} samples · ` + labels.map(label => `${label}: ${counts[label] || 0}`).join(' · ');
+
+        releaseThumbnails();
+        const visible = samples.filter(sample => !filterSelect.value || sample.label === filterSelect.value);
+
+        galleryElement.innerHTML = visible.length === 0
+            ? '<p class="no-detection">No samples to show</p>'
+            : visible.map(sample => {
+                const url = URL.createObjectURL(sample.image);
+                objectUrls.push(url);
+                const predicted = sample.predicted
+                    ? `Model said ${Utils.escapeHtml(sample.predicted.label)}${typeof sample.predicted.confidence === 'number' ? ` (${Math.round(sample.predicted.confidence * 100)}%)` : ''}`
+                    : '';
+
+                return `
+                    <div class="sample-card">
+                        <img src="${url}" alt="${Utils.escapeHtml(sample.label)}">
+                        <select onchange="Samples.changeLabel('${sample.id}', this.value)">
+                            ${labels.map(label => `
+                                <option value="${Utils.escapeHtml(label)}" ${label === sample.label ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>
+                            `).join('')}
+                        </select>
+                        <span class="cart-item-name-en">${REASONS[sample.reason]} · ${new Date(sample.capturedAt).toLocaleString()}</span>
+                        ${predicted ? `<span class="cart-item-name-en">${predicted}</span>` : ''}
+                        <button class="btn btn-danger btn-small" onclick="Samples.deleteSample('${sample.id}')">Delete</button>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    async function handleManualCapture() {
+        if (!captureLabelSelect.value) {
+            alert('Pick the class of the item in front of the camera.');
+            return;
+        }
+
+        try {
+            await captureSample(captureLabelSelect.value, { reason: 'manual' });
+            await render();
+        } catch (error) {
+            alert('Capture failed: ' + error.message);
+        }
+    }
+
+    async function handleExport() {
+        try {
+            const dataset = await buildDatasetZip();
+            if (dataset.count === 0) {
+                alert('No samples to export yet.');
+                return;
+            }
+
+            const filename = Export.downloadBlob(dataset.blob, `training_samples_${Date.now()}.zip`);
+            console.log('[Samples] Exported', dataset.count, 'samples in', dataset.labels.length, 'classes');
+            alert(`✅ Exported ${dataset.count} samples (${dataset.labels.join(', ')})\nFile: ${filename}`);
+        } catch (error) {
+            console.error('[Samples] Export failed:', error);
+            alert('Export failed: ' + error.message);
+        }
+    }
+
+    async function handleClear() {
+        if (!confirm('Delete all training samples on this device? Export them first if you still need them.')) return;
+
+        const samples = await DB.getAll(STORE_NAME);
+        for (const sample of samples) {
+            await DB.remove(STORE_NAME, sample.id);
+        }
+        updateCount();
+        await render();
+    }
+
+    // Public API
+    return {
+        init,
+        saveSample,
+        captureSample,
+        getAllSamples,
+        relabel,
+        deleteSample,
+        buildDatasetZip,
+        promptCapture,
+        open,
+        close,
+        changeLabel
+    };
+})();
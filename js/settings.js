@@ -0,0 +1,399 @@
+/**
+ * Settings Module
+ * Per-device detection settings persisted in localStorage:
+ * confidence thresholds, scan interval, smoothing, auto-add behaviour and
+ * the scan zone cropped for inference
+ * Detection and App read these live, so changes apply without a reload
+ */
+
+const Settings = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'pos_settings';
+
+    const DEFAULT_SETTINGS = {
+        minConfidence: 0.5,         // Single-scan confidence threshold
+        autoAddThreshold: 0.85,     // Single scans at or above this are added without asking
+        classThresholds: {},        // Normalized model label → threshold overriding minConfidence
+        scanInterval: 500,          // Milliseconds between continuous scan frames
+        smoothing: {
+            windowSize: 5,          // Frames averaged
+            requiredFrames: 3,      // Consecutive frames a class must lead
+            enterThreshold: 0.7,    // Averaged confidence to become stable
+            exitThreshold: 0.5      // Averaged confidence to stay stable
+        },
+        autoAddOnScan: true,        // Add the first detection after a single scan
+        handsFree: true,            // Auto-add stable detections in continuous scan
+        scanZone: null              // { x, y, width, height } as fractions of the frame; null = whole frame
+    };
+
+    const LIMITS = {
+        scanInterval: { min: 100, max: 5000 },
+        windowSize: { min: 1, max: 20 },
+        requiredFrames: { min: 1, max: 20 },
+        scanZoneSize: { min: 0.1 }
+    };
+
+    // Private state
+    let settings = null;
+    let listeners = [];
+
+    // DOM Elements
+    const modalElement = document.getElementById('settingsModal');
+    const formElement = document.getElementById('settingsForm');
+    const errorsElement = document.getElementById('settingsErrors');
+    const classThresholdsElement = document.getElementById('settingsClassThresholds');
+    const fields = {
+        minConfidence: document.getElementById('settingsMinConfidence'),
+        autoAddThreshold: document.getElementById('settingsAutoAddThreshold'),
+        scanInterval: document.getElementById('settingsScanInterval'),
+        windowSize: document.getElementById('settingsWindowSize'),
+        requiredFrames: document.getElementById('settingsRequiredFrames'),
+        enterThreshold: document.getElementById('settingsEnterThreshold'),
+        exitThreshold: document.getElementById('settingsExitThreshold'),
+        autoAddOnScan: document.getElementById('settingsAutoAddOnScan'),
+        handsFree: document.getElementById('settingsHandsFree')
+    };
+
+    /**
+     * Initialize settings module
+     */
+    function init() {
+        loadSettings();
+
+        document.getElementById('openSettingsBtn').addEventListener('click', open);
+        document.getElementById('settingsResetBtn').addEventListener('click', handleReset);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        formElement.addEventListener('submit', handleSubmit);
+
+        console.log('[Settings] Module initialized');
+    }
+
+    /**
+     * Create a fresh copy of the default settings
+     * @returns {Object} Settings
+     */
+    function createDefaults() {
+        return {
+            ...DEFAULT_SETTINGS,
+            classThresholds: {},
+            smoothing: { ...DEFAULT_SETTINGS.smoothing },
+            scanZone: null
+        };
+    }
+
+    /**
+     * Load settings from localStorage, filling in defaults for missing values
+     */
+    function loadSettings() {
+        settings = createDefaults();
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored) {
+                settings = {
+                    ...settings,
+                    ...stored,
+                    classThresholds: { ...stored.classThresholds },
+                    smoothing: { ...settings.smoothing, ...stored.smoothing },
+                    scanZone: stored.scanZone ? { ...stored.scanZone } : null
+                };
+                console.log('[Settings] Loaded from storage');
+            }
+        } catch (error) {
+            console.error('[Settings] Failed to load from storage:', error);
+        }
+    }
+
+    /**
+     * Save settings to localStorage and notify listeners
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            console.log('[Settings] Saved to storage');
+        } catch (error) {
+            console.error('[Settings] Failed to save to storage:', error);
+        }
+        listeners.forEach(listener => listener(getAll()));
+    }
+
+    function normalizeLabel(label) {
+        return (label || '').trim().toLowerCase();
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    /**
+     * Get one setting
+     * @param {string} key - Setting name
+     * @returns {*} Value (objects are copies)
+     */
+    function get(key) {
+        if (!settings) {
+            loadSettings();
+        }
+        const value = settings[key];
+        return value && typeof value === 'object' ? { ...value } : value;
+    }
+
+    /**
+     * Get all settings
+     * @returns {Object} Copy of the settings
+     */
+    function getAll() {
+        if (!settings) {
+            loadSettings();
+        }
+        return {
+            ...settings,
+            classThresholds: { ...settings.classThresholds },
+            smoothing: { ...settings.smoothing },
+            scanZone: settings.scanZone ? { ...settings.scanZone } : null
+        };
+    }
+
+    /**
+     * Get the confidence threshold for a model class
+     * @param {string} className - Model label
+     * @returns {number} Class threshold, or the global threshold if none is set
+     */
+    function getClassThreshold(className) {
+        const thresholds = get('classThresholds');
+        const threshold = thresholds[normalizeLabel(className)];
+        return typeof threshold === 'number' ? threshold : get('minConfidence');
+    }
+
+    // ============================================================================
+    // EDITING
+    // ============================================================================
+
+    function isProbability(value) {
+        return typeof value === 'number' && isFinite(value) && value > 0 && value < 1;
+    }
+
+    function isIntegerIn(value, limits) {
+        return Number.isInteger(value) && value >= limits.min && value <= limits.max;
+    }
+
+    function isValidZone(zone) {
+        const values = [zone.x, zone.y, zone.width, zone.height];
+        return values.every(value => typeof value === 'number' && isFinite(value)) &&
+            zone.x >= 0 && zone.y >= 0 &&
+            zone.width >= LIMITS.scanZoneSize.min && zone.height >= LIMITS.scanZoneSize.min &&
+            // Tolerate float rounding at the frame edge
+            zone.x + zone.width <= 1 + 1e-6 && zone.y + zone.height <= 1 + 1e-6;
+    }
+
+    /**
+     * Validate a complete settings object
+     * @param {Object} data - Settings
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    function validateSettings(data) {
+        const errors = [];
+        const smoothing = data.smoothing;
+
+        if (!isProbability(data.minConfidence)) {
+            errors.push('Confidence threshold must be between 1% and 99%.');
+        }
+        if (!isProbability(data.autoAddThreshold)) {
+            errors.push('Auto-add threshold must be between 1% and 99%.');
+        } else if (data.autoAddThreshold < data.minConfidence) {
+            errors.push('The auto-add threshold cannot be lower than the confidence threshold.');
+        }
+        Object.keys(data.classThresholds).forEach(label => {
+            if (!isProbability(data.classThresholds[label])) {
+                errors.push(`Threshold for "${label}" must be between 1% and 99%.`);
+            }
+        });
+        if (!isIntegerIn(data.scanInterval, LIMITS.scanInterval)) {
+            errors.push(`Scan interval must be ${LIMITS.scanInterval.min}–${LIMITS.scanInterval.max} ms.`);
+        }
+        if (!isIntegerIn(smoothing.windowSize, LIMITS.windowSize)) {
+            errors.push(`Averaged frames must be ${LIMITS.windowSize.min}–${LIMITS.windowSize.max}.`);
+        }
+        if (!isIntegerIn(smoothing.requiredFrames, LIMITS.requiredFrames)) {
+            errors.push(`Stable frames must be ${LIMITS.requiredFrames.min}–${LIMITS.requiredFrames.max}.`);
+        }
+        if (!isProbability(smoothing.enterThreshold) || !isProbability(smoothing.exitThreshold)) {
+            errors.push('Smoothing thresholds must be between 1% and 99%.');
+        } else if (smoothing.exitThreshold > smoothing.enterThreshold) {
+            errors.push('The "stay stable" threshold cannot be higher than the "become stable" threshold.');
+        }
+        if (data.scanZone !== null && !isValidZone(data.scanZone)) {
+            errors.push(`The scan zone must lie inside the frame and cover at least ${LIMITS.scanZoneSize.min * 100}% of its width and height.`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Change settings
+     * @param {Object} changes - Settings to change; smoothing may be partial
+     * @returns {Object} Result with success and settings or errors
+     */
+    function update(changes) {
+        const next = {
+            ...getAll(),
+            ...changes,
+            smoothing: { ...settings.smoothing, ...changes.smoothing }
+        };
+        if (changes.classThresholds) {
+            next.classThresholds = {};
+            Object.keys(changes.classThresholds).forEach(label => {
+                next.classThresholds[normalizeLabel(label)] = changes.classThresholds[label];
+            });
+        }
+
+        const errors = validateSettings(next);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        settings = next;
+        saveSettings();
+        return { success: true, settings: getAll() };
+    }
+
+    /**
+     * Restore the default settings
+     */
+    function reset() {
+        settings = createDefaults();
+        saveSettings();
+    }
+
+    /**
+     * Register a listener called whenever the settings change
+     * @param {Function} listener - Receives the new settings
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // ============================================================================
+    // SETTINGS PANEL
+    // ============================================================================
+
+    function toPercent(value) {
+        return Math.round(value * 100);
+    }
+
+    function fromPercent(input) {
+        return input.value === '' ? NaN : Number(input.value) / 100;
+    }
+
+    function open() {
+        render();
+        showErrors([]);
+        modalElement.classList.add('visible');
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Fill the form from the current settings
+     * Per-class thresholds are offered for the loaded model's labels
+     */
+    function render() {
+        fields.minConfidence.value = toPercent(settings.minConfidence);
+        fields.autoAddThreshold.value = toPercent(settings.autoAddThreshold);
+        fields.scanInterval.value = settings.scanInterval;
+        fields.windowSize.value = settings.smoothing.windowSize;
+        fields.requiredFrames.value = settings.smoothing.requiredFrames;
+        fields.enterThreshold.value = toPercent(settings.smoothing.enterThreshold);
+        fields.exitThreshold.value = toPercent(settings.smoothing.exitThreshold);
+        fields.autoAddOnScan.checked = settings.autoAddOnScan;
+        fields.handsFree.checked = settings.handsFree;
+
+        const labels = Detection.getLabels().filter(label => !Detection.isEmptyClass(label));
+        classThresholdsElement.innerHTML = labels.length === 0
+            ? '<p class="no-detection">Load a model to set per-class thresholds</p>'
+            : labels.map(label => {
+                const threshold = settings.classThresholds[normalizeLabel(label)];
+                return `
+                    <label>
+                        ${Utils.escapeHtml(label.trim())} (%)
+                        <input type="number" min="1" max="99" step="1" data-label="${Utils.escapeHtml(normalizeLabel(label))}"
+                            value="${typeof threshold === 'number' ? toPercent(threshold) : ''}" placeholder="Default">
+                    </label>
+                `;
+            }).join('');
+    }
+
+    /**
+     * Handle form submit
+     * @param {Event} event - Submit event
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+
+        // Keep thresholds for labels the current model does not have
+        const classThresholds = { ...settings.classThresholds };
+        classThresholdsElement.querySelectorAll('input[data-label]').forEach(input => {
+            if (input.value === '') {
+                delete classThresholds[input.dataset.label];
+            } else {
+                classThresholds[input.dataset.label] = fromPercent(input);
+            }
+        });
+
+        const result = update({
+            minConfidence: fromPercent(fields.minConfidence),
+            autoAddThreshold: fromPercent(fields.autoAddThreshold),
+            classThresholds: classThresholds,
+            scanInterval: fields.scanInterval.value === '' ? NaN : Number(fields.scanInterval.value),
+            smoothing: {
+                windowSize: Number(fields.windowSize.value),
+                requiredFrames: Number(fields.requiredFrames.value),
+                enterThreshold: fromPercent(fields.enterThreshold),
+                exitThreshold: fromPercent(fields.exitThreshold)
+            },
+            autoAddOnScan: fields.autoAddOnScan.checked,
+            handsFree: fields.handsFree.checked
+        });
+
+        if (result.success) {
+            close();
+        } else {
+            showErrors(result.errors);
+        }
+    }
+
+    function handleReset() {
+        if (!confirm('Restore the default detection settings on this device?')) return;
+
+        reset();
+        render();
+        showErrors([]);
+    }
+
+    /**
+     * Show validation errors under the form
+     * @param {Array<string>} errors - Error messages
+     */
+    function showErrors(errors) {
+        errorsElement.innerHTML = errors.map(error => `<p>${Utils.escapeHtml(error)}</p>`).join('');
+        errorsElement.classList.toggle('visible', errors.length > 0);
+    }
+
+    // Public API
+    return {
+        init,
+        get,
+        getAll,
+        getClassThreshold,
+        validateSettings,
+        update,
+        reset,
+        onChange,
+        open,
+        close
+    };
+})();
@@ -0,0 +1,483 @@
+/**
+ * Shifts Module
+ * Cashier shifts: open with a starting cash float, close with an end-of-day
+ * Z-report (sales per product and payment method, expected vs counted cash).
+ * Closed shift reports are archived in IndexedDB.
+ */
+
+const Shifts = (function() {
+    'use strict';
+
+    const STORE_NAME = 'shifts';
+    const CURRENT_KEY = 'pos_current_shift';
+
+    // Private state
+    let currentShift = null;
+    let viewedReport = null;
+
+    // DOM Elements
+    const statusElement = document.getElementById('shiftStatus');
+    const modalElement = document.getElementById('shiftModal');
+    const openPanel = document.getElementById('shiftOpenPanel');
+    const closePanel = document.getElementById('shiftClosePanel');
+    const floatInput = document.getElementById('shiftFloat');
+    const summaryElement = document.getElementById('shiftSummary');
+    const countedInput = document.getElementById('shiftCountedCash');
+    const archiveElement = document.getElementById('shiftArchive');
+    const reportElement = document.getElementById('shiftReport');
+
+    /**
+     * Initialize shifts module
+     * Restores the open shift from localStorage
+     */
+    function init() {
+        try {
+            currentShift = JSON.parse(localStorage.getItem(CURRENT_KEY));
+        } catch (error) {
+            console.error('[Shifts] Failed to load current shift:', error);
+            currentShift = null;
+        }
+
+        statusElement.addEventListener('click', open);
+        document.getElementById('openShiftBtn').addEventListener('click', handleOpenShift);
+        document.getElementById('closeShiftBtn').addEventListener('click', handleCloseShift);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+
+        updateStatus();
+        console.log('[Shifts] Module initialized', currentShift ? `(shift ${currentShift.shiftId} open)` : '(no open shift)');
+    }
+
+    // ============================================================================
+    // SHIFT LIFECYCLE
+    // ============================================================================
+
+    /**
+     * Check whether a shift is open
+     * @returns {boolean} True if open
+     */
+    function isOpen() {
+        return currentShift !== null;
+    }
+
+    /**
+     * Get the open shift
+     * @returns {Object|null} { shiftId, openedAt, openingFloat, openedBy }
+     */
+    function getCurrentShift() {
+        return currentShift ? { ...currentShift } : null;
+    }
+
+    /**
+     * Open a new shift
+     * @param {number} openingFloat - Cash in the drawer at start (DZD)
+     * @returns {Object} The open shift
+     */
+    function openShift(openingFloat) {
+        if (currentShift) {
+            throw new Error('A shift is already open');
+        }
+        if (!isFinite(openingFloat) || openingFloat < 0) {
+            throw new Error('Starting float must be 0 DZD or more');
+        }
+
+        currentShift = {
+            shiftId: `shift_${Date.now()}`,
+            openedAt: new Date().toISOString(),
+            openingFloat: openingFloat,
+            openedBy: Users.getAttribution()
+        };
+        localStorage.setItem(CURRENT_KEY, JSON.stringify(currentShift));
+        updateStatus();
+
+        console.log('[Shifts] Opened shift:', currentShift.shiftId, 'float', openingFloat);
+        return getCurrentShift();
+    }
+
+    /**
+     * Close the open shift and archive its Z-report
+     * @param {number} countedCash - Cash counted in the drawer (DZD)
+     * @returns {Promise<Object>} The archived Z-report
+     */
+    async function closeShift(countedCash) {
+        if (!currentShift) {
+            throw new Error('No shift is open');
+        }
+        if (!isFinite(countedCash) || countedCash < 0) {
+            throw new Error('Counted cash must be 0 DZD or more');
+        }
+
+        const report = await buildReport(currentShift, new Date().toISOString());
+        report.countedCash = countedCash;
+        report.discrepancy = countedCash - report.expectedCash;
+        report.closedBy = Users.getAttribution();
+
+        await DB.put(STORE_NAME, report);
+
+        localStorage.removeItem(CURRENT_KEY);
+        currentShift = null;
+        updateStatus();
+
+        console.log('[Shifts] Closed shift:', report.shiftId, 'discrepancy', report.discrepancy);
+        return report;
+    }
+
+    /**
+     * Build a Z-report from the orders recorded in a shift and the refunds paid during it
+     * @param {Object} shift - Shift { shiftId, openedAt, openingFloat, openedBy }
+     * @param {string|null} closedAt - Closing timestamp (null while open)
+     * @returns {Promise<Object>} Report
+     */
+    async function buildReport(shift, closedAt) {
+        const allOrders = await Orders.getAllOrders();
+        const orders = allOrders.filter(order => order.shiftId === shift.shiftId);
+        // Refunds count in the shift that paid them, whichever shift took the order
+        const refundedOrders = allOrders.filter(order => order.refund && order.refund.shiftId === shift.shiftId);
+        const voids = Voids.summarize(await Voids.getVoidsForShift(shift.shiftId));
+
+        const salesByProduct = {};
+        const salesByMethod = {};
+        const discountsByRule = {};
+        const taxesByRate = {};
+        Checkout.getPaymentMethods().forEach(method => {
+            salesByMethod[method.id] = { count: 0, amount: 0 };
+        });
+
+        let itemsCount = 0;
+        let revenue = 0;
+        let discountTotal = 0;
+        let taxTotal = 0;
+        let serviceChargeTotal = 0;
+
+        orders.forEach(order => {
+            revenue += order.total;
+            itemsCount += order.itemsCount;
+
+            const method = order.payment ? order.payment.method : 'other';
+            salesByMethod[method] = salesByMethod[method] || { count: 0, amount: 0 };
+            salesByMethod[method].count += 1;
+            salesByMethod[method].amount += order.total;
+
+            order.items.forEach(item => {
+                const entry = salesByProduct[item.productId] || {
+                    productId: item.productId,
+                    nameAr: item.nameAr,
+                    nameEn: item.nameEn,
+                    quantity: 0,
+                    amount: 0
+                };
+                entry.quantity += item.quantity;
+                entry.amount += item.lineTotal;
+                salesByProduct[item.productId] = entry;
+            });
+
+            order.discounts.forEach(discount => {
+                const entry = discountsByRule[discount.name] || { name: discount.name, count: 0, amount: 0 };
+                entry.count += 1;
+                entry.amount += discount.amount;
+                discountsByRule[discount.name] = entry;
+                discountTotal += discount.amount;
+            });
+
+            order.taxes.forEach(tax => {
+                const key = `${order.taxLabel} ${tax.rate}`;
+                const entry = taxesByRate[key] || { label: order.taxLabel, rate: tax.rate, base: 0, amount: 0 };
+                entry.base += tax.base;
+                entry.amount += tax.amount;
+                taxesByRate[key] = entry;
+                taxTotal += tax.amount;
+            });
+            serviceChargeTotal += order.serviceCharge;
+        });
+
+        const refunds = { count: 0, amount: 0, byMethod: {} };
+        refundedOrders.forEach(order => {
+            const entry = refunds.byMethod[order.refund.method] || { count: 0, amount: 0 };
+            entry.count += 1;
+            entry.amount += order.refund.amount;
+            refunds.byMethod[order.refund.method] = entry;
+            refunds.count += 1;
+            refunds.amount += order.refund.amount;
+        });
+        const cashRefunds = refunds.byMethod.cash ? refunds.byMethod.cash.amount : 0;
+
+        return {
+            shiftId: shift.shiftId,
+            openedAt: shift.openedAt,
+            closedAt: closedAt,
+            openingFloat: shift.openingFloat,
+            openedBy: shift.openedBy || null,
+            closedBy: null,
+            ordersCount: orders.length,
+            itemsCount: itemsCount,
+            revenue: revenue,
+            salesByProduct: Object.values(salesByProduct).sort((a, b) => b.amount - a.amount),
+            salesByMethod: salesByMethod,
+            discountTotal: discountTotal,
+            discounts: Object.values(discountsByRule).sort((a, b) => b.amount - a.amount),
+            taxTotal: taxTotal,
+            taxes: Object.values(taxesByRate).sort((a, b) => b.rate - a.rate),
+            serviceChargeTotal: serviceChargeTotal,
+            voids: voids,
+            refunds: refunds,
+            // Cash orders add their total to the drawer (tendered minus change given),
+            // cash refunds take it back out
+            expectedCash: shift.openingFloat + salesByMethod.cash.amount - cashRefunds,
+            countedCash: null,
+            discrepancy: null
+        };
+    }
+
+    /**
+     * Get the running report for the open shift
+     * @returns {Promise<Object|null>} Report or null when no shift is open
+     */
+    function getCurrentReport() {
+        return currentShift ? buildReport(currentShift, null) : Promise.resolve(null);
+    }
+
+    /**
+     * Get archived Z-reports, newest first
+     * @returns {Promise<Array>} Reports
+     */
+    async function getArchivedReports() {
+        const reports = await DB.getAll(STORE_NAME);
+        return reports.sort((a, b) => b.closedAt.localeCompare(a.closedAt));
+    }
+
+    // ============================================================================
+    // SHIFT PANEL
+    // ============================================================================
+
+    function updateStatus() {
+        const text = statusElement.querySelector('.status-text');
+        if (currentShift) {
+            statusElement.classList.add('active');
+            text.textContent = `Shift open since ${new Date(currentShift.openedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        } else {
+            statusElement.classList.remove('active');
+            text.textContent = 'No open shift';
+        }
+    }
+
+    async function open() {
+        viewedReport = null;
+        modalElement.classList.add('visible');
+        await render();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Render open/close panels, the archive and the viewed report
+     */
+    async function render() {
+        openPanel.classList.toggle('hidden', isOpen());
+        closePanel.classList.toggle('hidden', !isOpen());
+
+        if (isOpen()) {
+            const report = await getCurrentReport();
+            summaryElement.innerHTML = `
+                <div class="summary-row"><span>Opened:</span><span>${new Date(report.openedAt).toLocaleString()}</span></div>
+                ${report.openedBy ? `<div class="summary-row"><span>Opened by:</span><span>${Utils.escapeHtml(report.openedBy.name)}</span></div>` : ''}
+                <div class="summary-row"><span>Orders:</span><span>${report.ordersCount}</span></div>
+                <div class="summary-row"><span>Revenue:</span><span>${report.revenue.toLocaleString()} DZD</span></div>
+                <div class="summary-row"><span>Voids (${report.voids.count}):</span><span>${report.voids.amount.toLocaleString()} DZD</span></div>
+                ${report.refunds.count > 0 ? `<div class="summary-row"><span>Refunds (${report.refunds.count}):</span><span>−${report.refunds.amount.toLocaleString()} DZD</span></div>` : ''}
+                <div class="summary-row"><span>Starting float:</span><span>${report.openingFloat.toLocaleString()} DZD</span></div>
+                <div class="summary-row total"><span>Expected cash:</span><span>${report.expectedCash.toLocaleString()} DZD</span></div>
+            `;
+        }
+
+        let reports = [];
+        try {
+            reports = await getArchivedReports();
+        } catch (error) {
+            console.error('[Shifts] Failed to read archive:', error);
+        }
+
+        archiveElement.innerHTML = reports.length === 0
+            ? '<p class="no-detection">No closed shifts yet</p>'
+            : reports.map(report => `
+                <div class="history-row ${viewedReport && viewedReport.shiftId === report.shiftId ? 'selected' : ''}" onclick="Shifts.viewReport('${report.shiftId}')">
+                    <div class="catalog-info">
+                        <span class="cart-item-name">${new Date(report.openedAt).toLocaleString()} → ${new Date(report.closedAt).toLocaleTimeString()}</span>
+                        <span class="cart-item-name-en">${report.ordersCount} orders · discrepancy ${formatSigned(report.discrepancy)} DZD</span>
+                    </div>
+                    <span class="cart-item-price">${report.revenue.toLocaleString()} DZD</span>
+                </div>
+            `).join('');
+
+        reportElement.innerHTML = viewedReport ? `
+            <div class="receipt-preview">${buildReportHtml(viewedReport)}</div>
+            <div class="form-actions">
+                <button class="btn btn-primary btn-small" onclick="Shifts.printReport()">🖨 Print</button>
+                <button class="btn btn-secondary btn-small" onclick="Shifts.exportReport('json')">📤 Export JSON</button>
+                <button class="btn btn-secondary btn-small" onclick="Shifts.exportReport('csv')">📤 Export CSV</button>
+                <button class="btn btn-secondary btn-small" onclick="Voids.open('${viewedReport.shiftId}')">🚫 Voids</button>
+            </div>
+        ` : '';
+    }
+
+    function formatSigned(amount) {
+        return `${amount > 0 ? '+' : ''}${amount.toLocaleString()}`;
+    }
+
+    /**
+     * Build printable Z-report markup (same paper layout as receipts)
+     * @param {Object} report - Z-report
+     * @returns {string} HTML
+     */
+    function buildReportHtml(report) {
+        const escape = Utils.escapeHtml;
+
+        return `
+            <div class="receipt paper-${Receipt.getPaperWidth()}">
+                <div class="receipt-header">
+                    <div class="receipt-cafe-en">Z-REPORT</div>
+                    <div class="receipt-small receipt-id">${escape(report.shiftId)}</div>
+                </div>
+                <div class="receipt-rule"></div>
+                <div class="receipt-row receipt-small"><span>Opened</span><span>${new Date(report.openedAt).toLocaleString()}</span></div>
+                <div class="receipt-row receipt-small"><span>Closed</span><span>${new Date(report.closedAt).toLocaleString()}</span></div>
+                ${report.openedBy ? `<div class="receipt-row receipt-small"><span>Opened by</span><span>${escape(report.openedBy.name)}</span></div>` : ''}
+                ${report.closedBy ? `<div class="receipt-row receipt-small"><span>Closed by</span><span>${escape(report.closedBy.name)}</span></div>` : ''}
+                <div class="receipt-rule"></div>
+                <div class="receipt-small"><strong>Sales by product</strong></div>
+                ${report.salesByProduct.map(entry => `
+                    <div class="receipt-row receipt-small">
+                        <span>${escape(entry.nameEn)} / <span dir="rtl">${escape(entry.nameAr)}</span> × ${entry.quantity}</span>
+                        <span>${entry.amount.toLocaleString()}</span>
+                    </div>
+                `).join('') || '<div class="receipt-small">No sales</div>'}
+                ${(report.discounts || []).length > 0 ? `
+                    <div class="receipt-rule"></div>
+                    <div class="receipt-small"><strong>Discounts</strong></div>
+                    ${report.discounts.map(entry => `
+                        <div class="receipt-row receipt-small">
+                            <span>${escape(entry.name)} (${entry.count})</span>
+                            <span>−${entry.amount.toLocaleString()}</span>
+                        </div>
+                    `).join('')}
+                ` : ''}
+                ${report.voids && (report.voids.count > 0 || report.voids.restoredCount > 0) ? `
+                    <div class="receipt-rule"></div>
+                    <div class="receipt-small"><strong>Voids</strong></div>
+                    ${Object.keys(report.voids.byAction).map(action => `
+                        <div class="receipt-row receipt-small">
+                            <span>${escape(Voids.getActionLabel(action))} (${report.voids.byAction[action].count})</span>
+                            <span>−${report.voids.byAction[action].amount.toLocaleString()}</span>
+                        </div>
+                    `).join('')}
+                    <div class="receipt-row receipt-small"><span>Items voided</span><span>${report.voids.itemsCount}</span></div>
+                    ${report.voids.restoredCount > 0 ? `
+                        <div class="receipt-row receipt-small"><span>Restored with undo</span><span>${report.voids.restoredCount}</span></div>
+                    ` : ''}
+                ` : ''}
+                <div class="receipt-rule"></div>
+                <div class="receipt-small"><strong>Sales by payment method</strong></div>
+                ${Object.keys(report.salesByMethod).map(method => `
+                    <div class="receipt-row receipt-small">
+                        <span>${escape(Receipt.getPaymentLabel(method))} (${report.salesByMethod[method].count})</span>
+                        <span>${report.salesByMethod[method].amount.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+                ${report.refunds ? Object.keys(report.refunds.byMethod).map(method => `
+                    <div class="receipt-row receipt-small">
+                        <span>Refunds · ${escape(Receipt.getPaymentLabel(method))} (${report.refunds.byMethod[method].count})</span>
+                        <span>−${report.refunds.byMethod[method].amount.toLocaleString()}</span>
+                    </div>
+                `).join('') : ''}
+                <div class="receipt-rule"></div>
+                <div class="receipt-row receipt-small"><span>Orders</span><span>${report.ordersCount}</span></div>
+                <div class="receipt-row receipt-small"><span>Items</span><span>${report.itemsCount}</span></div>
+                ${(report.taxes || []).map(entry => `
+                    <div class="receipt-row receipt-small">
+                        <span>${escape(Tax.formatTaxLabel(entry, entry.label))} on ${entry.base.toLocaleString()}</span>
+                        <span>${entry.amount.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+                ${report.serviceChargeTotal > 0 ? `
+                    <div class="receipt-row receipt-small"><span>Service charge</span><span>${report.serviceChargeTotal.toLocaleString()}</span></div>
+                ` : ''}
+                <div class="receipt-row receipt-total"><span>Revenue</span><span>${report.revenue.toLocaleString()} DZD</span></div>
+                <div class="receipt-rule"></div>
+                <div class="receipt-row receipt-small"><span>Starting float</span><span>${report.openingFloat.toLocaleString()}</span></div>
+                <div class="receipt-row receipt-small"><span>Expected cash</span><span>${report.expectedCash.toLocaleString()}</span></div>
+                <div class="receipt-row receipt-small"><span>Counted cash</span><span>${report.countedCash.toLocaleString()}</span></div>
+                <div class="receipt-row"><span>Discrepancy</span><span>${formatSigned(report.discrepancy)} DZD</span></div>
+            </div>
+        `;
+    }
+
+    function handleOpenShift() {
+        try {
+            openShift(floatInput.value === '' ? 0 : Number(floatInput.value));
+            floatInput.value = '';
+            render();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async function handleCloseShift() {
+        if (countedInput.value === '') {
+            alert('Count the cash in the drawer and enter the amount first.');
+            return;
+        }
+        if (!confirm('Close this shift and print the Z-report?')) return;
+
+        try {
+            viewedReport = await closeShift(Number(countedInput.value));
+            countedInput.value = '';
+            await render();
+            printReport();
+        } catch (error) {
+            console.error('[Shifts] Close failed:', error);
+            alert('Closing shift failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Show an archived Z-report
+     * @param {string} shiftId - Shift ID
+     */
+    async function viewReport(shiftId) {
+        viewedReport = (await DB.get(STORE_NAME, shiftId)) || null;
+        await render();
+    }
+
+    function printReport() {
+        if (viewedReport) {
+            Receipt.printDocument(buildReportHtml(viewedReport), Receipt.getPaperWidth());
+        }
+    }
+
+    function exportReport(format) {
+        if (!viewedReport) return;
+
+        const result = Export.exportShiftReport(viewedReport, format);
+        if (!result.success) {
+            alert('Export failed: ' + result.error);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        isOpen,
+        getCurrentShift,
+        openShift,
+        closeShift,
+        getCurrentReport,
+        getArchivedReports,
+        open,
+        close,
+        viewReport,
+        printReport,
+        exportReport
+    };
+})();
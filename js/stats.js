@@ -1,25 +1,50 @@
 /**
  * Stats Module
  * Manages statistics dashboard with localStorage persistence
+ * Resetting the statistics needs a manager and is attributed to the logged-in user
  */
 
 const Stats = (function() {
     'use strict';
 
     // Private state
-    let stats = {
-        itemsScanned: 0,
-        ordersCompleted: 0,
-        totalRevenue: 0
-    };
+    let stats = createEmptyStats();
 
     // Storage key
     const STORAGE_KEY = 'pos_stats';
 
     // DOM Elements
     const itemsScannedElement = document.getElementById('itemsScanned');
+    const itemsBySourceElement = document.getElementById('itemsBySource');
     const ordersCompletedElement = document.getElementById('ordersCompleted');
     const totalRevenueElement = document.getElementById('totalRevenue');
+    const revenueByMethodElement = document.getElementById('revenueByMethod');
+    const totalDiscountsElement = document.getElementById('totalDiscounts');
+    const totalRefundsElement = document.getElementById('totalRefunds');
+    const resetInfoElement = document.getElementById('statsResetInfo');
+    const resetBtn = document.getElementById('resetStatsBtn');
+
+    /**
+     * Create zeroed stats
+     * @returns {Object} Empty stats
+     */
+    function createEmptyStats() {
+        return {
+            itemsScanned: 0,
+            itemsManual: 0,
+            ordersCompleted: 0,
+            totalRevenue: 0,
+            totalDiscounts: 0,
+            totalRefunds: 0,
+            // { at, by, approvedBy } of the last reset, null until the first one
+            lastReset: null,
+            revenueByMethod: {
+                cash: 0,
+                card: 0,
+                other: 0
+            }
+        };
+    }
 
     /**
      * Initialize stats module
@@ -27,6 +52,7 @@ const Stats = (function() {
      */
     function init() {
         loadStats();
+        resetBtn.addEventListener('click', handleReset);
         updateDisplay();
         console.log('[Stats] Module initialized');
     }
@@ -38,7 +64,14 @@ const Stats = (function() {
         try {
             const stored = localStorage.getItem(STORAGE_KEY);
             if (stored) {
-                stats = JSON.parse(stored);
+                // Merge so stats saved by older versions gain new counters
+                const parsed = JSON.parse(stored);
+                const empty = createEmptyStats();
+                stats = {
+                    ...empty,
+                    ...parsed,
+                    revenueByMethod: { ...empty.revenueByMethod, ...parsed.revenueByMethod }
+                };
                 console.log('[Stats] Loaded from storage:', stats);
             }
         } catch (error) {
@@ -69,6 +102,17 @@ const Stats = (function() {
         console.log('[Stats] Items scanned:', stats.itemsScanned);
     }
 
+    /**
+     * Increment the count of items entered by hand from the product grid
+     * @param {number} count - Number of items to add
+     */
+    function incrementItemsManual(count = 1) {
+        stats.itemsManual += count;
+        saveStats();
+        updateDisplay();
+        console.log('[Stats] Items entered by hand:', stats.itemsManual);
+    }
+
     /**
      * Increment orders completed count
      */
@@ -82,21 +126,80 @@ const Stats = (function() {
     /**
      * Add revenue to total
      * @param {number} amount - Amount to add
+     * @param {string} method - Payment method (cash, card, other)
      */
-    function addRevenue(amount) {
+    function addRevenue(amount, method = null) {
         stats.totalRevenue += amount;
+        if (method) {
+            stats.revenueByMethod[method] = (stats.revenueByMethod[method] || 0) + amount;
+        }
         saveStats();
         updateDisplay();
         console.log('[Stats] Total revenue:', stats.totalRevenue);
     }
 
+    /**
+     * Add the discounts given on an order
+     * @param {number} amount - Discount total of the order
+     */
+    function addDiscounts(amount) {
+        if (!amount) return;
+        stats.totalDiscounts += amount;
+        saveStats();
+        updateDisplay();
+        console.log('[Stats] Total discounts:', stats.totalDiscounts);
+    }
+
+    /**
+     * Record a refund: it comes off the revenue of its payment method, unless
+     * the order was taken before the last reset and so is not in that revenue
+     * @param {number} amount - Refunded amount
+     * @param {string} method - Payment method the order was paid with
+     * @param {string|null} orderTimestamp - When the refunded order was taken
+     */
+    function addRefund(amount, method = null, orderTimestamp = null) {
+        stats.totalRefunds += amount;
+        const countedInRevenue = !stats.lastReset || !orderTimestamp || orderTimestamp >= stats.lastReset.at;
+        if (countedInRevenue) {
+            stats.totalRevenue -= amount;
+            if (method) {
+                stats.revenueByMethod[method] = (stats.revenueByMethod[method] || 0) - amount;
+            }
+        }
+        saveStats();
+        updateDisplay();
+        console.log('[Stats] Total refunds:', stats.totalRefunds);
+    }
+
     /**
      * Update stats display in UI
      */
     function updateDisplay() {
-        itemsScannedElement.textContent = stats.itemsScanned;
+        itemsScannedElement.textContent = stats.itemsScanned + stats.itemsManual;
+        itemsBySourceElement.textContent =
+            `📷 ${stats.itemsScanned.toLocaleString()} scanned · ✋ ${stats.itemsManual.toLocaleString()} by hand`;
         ordersCompletedElement.textContent = stats.ordersCompleted;
         totalRevenueElement.textContent = `${stats.totalRevenue.toLocaleString()} DZD`;
+        revenueByMethodElement.textContent = Object.keys(stats.revenueByMethod)
+            .map(method => `${Checkout.getMethodLabel(method)} ${stats.revenueByMethod[method].toLocaleString()}`)
+            .join(' · ');
+        totalDiscountsElement.textContent = `🏷 Discounts given ${stats.totalDiscounts.toLocaleString()} DZD`;
+        totalRefundsElement.textContent = stats.totalRefunds > 0 ? `↩ Refunds ${stats.totalRefunds.toLocaleString()} DZD` : '';
+        resetInfoElement.textContent = stats.lastReset
+            ? `Since ${new Date(stats.lastReset.at).toLocaleString()} · reset by ${formatReset(stats.lastReset)}`
+            : '';
+    }
+
+    /**
+     * Describe who reset the stats, e.g. "Sami (approved by Nadia)"
+     * @param {Object} lastReset - { by, approvedBy }
+     * @returns {string} Description
+     */
+    function formatReset(lastReset) {
+        const by = lastReset.by ? lastReset.by.name : 'unknown';
+        return lastReset.approvedBy && (!lastReset.by || lastReset.approvedBy.id !== lastReset.by.id)
+            ? `${by} (approved by ${lastReset.approvedBy.name})`
+            : by;
     }
 
     /**
@@ -104,29 +207,47 @@ const Stats = (function() {
      * @returns {Object} Current stats
      */
     function getStats() {
-        return { ...stats };
+        return { ...stats, revenueByMethod: { ...stats.revenueByMethod } };
     }
 
     /**
      * Reset all stats
+     * @param {Object} approvedBy - Manager who approved the reset { id, name, role }
+     * @throws {Error} Without a manager's approval
      */
-    function resetStats() {
-        stats = {
-            itemsScanned: 0,
-            ordersCompleted: 0,
-            totalRevenue: 0
+    function resetStats(approvedBy) {
+        Users.assertApproved(approvedBy, 'Resetting the statistics');
+        stats = createEmptyStats();
+        stats.lastReset = {
+            at: new Date().toISOString(),
+            by: Users.getAttribution(),
+            approvedBy: approvedBy
         };
         saveStats();
         updateDisplay();
         console.log('[Stats] Reset');
     }
 
+    /**
+     * Reset from the dashboard button, once a manager approves
+     */
+    async function handleReset() {
+        const manager = await Users.requireManager('Reset the statistics');
+        if (!manager) return;
+        if (!confirm('Reset all statistics on this device? Orders and shift reports are kept.')) return;
+
+        resetStats(manager);
+    }
+
     // Public API
     return {
         init,
         incrementItemsScanned,
+        incrementItemsManual,
         incrementOrders,
         addRevenue,
+        addDiscounts,
+        addRefund,
         updateDisplay,
         getStats,
         resetStats
@@ -0,0 +1,282 @@
+/**
+ * Tax Module
+ * Tax (TVA) and service charge settings persisted in localStorage, and the
+ * order breakdown computed from them
+ *
+ * Each product is taxed at its own rate, or at the default rate when it has
+ * none. Prices either include tax (tax is worked out of the price) or
+ * exclude it (tax is added on top). The service charge is a percentage of
+ * the order after discounts and is not taxed. Amounts are whole DZD
+ */
+
+const Tax = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'pos_tax';
+
+    const DEFAULT_SETTINGS = {
+        taxLabel: 'TVA',            // Name printed on receipts and reports
+        defaultRate: 19,            // % for products without their own rate (Algerian standard TVA)
+        pricesIncludeTax: true,     // Catalog prices are tax-inclusive (TTC)
+        serviceChargeRate: 0        // % of the order after discounts; 0 = no service charge
+    };
+
+    // Private state
+    let settings = { ...DEFAULT_SETTINGS };
+    let listeners = [];
+
+    // DOM Elements
+    const modalElement = document.getElementById('taxModal');
+    const formElement = document.getElementById('taxForm');
+    const errorsElement = document.getElementById('taxErrors');
+    const fields = {
+        taxLabel: document.getElementById('taxLabel'),
+        defaultRate: document.getElementById('taxDefaultRate'),
+        pricesIncludeTax: document.getElementById('taxPricesInclude'),
+        serviceChargeRate: document.getElementById('taxServiceCharge')
+    };
+
+    /**
+     * Initialize tax module
+     */
+    function init() {
+        loadSettings();
+
+        document.getElementById('openTaxBtn').addEventListener('click', async () => {
+            if (await Users.requireManager('Edit tax and service charge')) {
+                open();
+            }
+        });
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        formElement.addEventListener('submit', handleSubmit);
+
+        console.log('[Tax] Module initialized');
+    }
+
+    /**
+     * Load settings from localStorage, filling in defaults for missing values
+     */
+    function loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored) {
+                settings = { ...DEFAULT_SETTINGS, ...stored };
+                console.log('[Tax] Loaded from storage');
+            }
+        } catch (error) {
+            console.error('[Tax] Failed to load from storage:', error);
+        }
+    }
+
+    /**
+     * Save settings to localStorage and notify listeners
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            console.log('[Tax] Saved to storage');
+        } catch (error) {
+            console.error('[Tax] Failed to save to storage:', error);
+        }
+        listeners.forEach(listener => listener(getSettings()));
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    /**
+     * Check a tax or service charge percentage
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a number from 0 to 100
+     */
+    function isRate(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0 && value <= 100;
+    }
+
+    /**
+     * Validate a complete settings object
+     * @param {Object} data - Settings
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    function validateSettings(data) {
+        const errors = [];
+
+        if (!data.taxLabel || !data.taxLabel.trim()) {
+            errors.push('Tax name is required.');
+        }
+        if (!isRate(data.defaultRate)) {
+            errors.push('Default tax rate must be between 0% and 100%.');
+        }
+        if (!isRate(data.serviceChargeRate)) {
+            errors.push('Service charge must be between 0% and 100%.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Change settings
+     * @param {Object} changes - Settings to change
+     * @returns {Object} Result with success and settings or errors
+     */
+    function update(changes) {
+        const next = { ...settings, ...changes };
+        next.taxLabel = (next.taxLabel || '').trim();
+
+        const errors = validateSettings(next);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        settings = next;
+        saveSettings();
+        return { success: true, settings: getSettings() };
+    }
+
+    /**
+     * Register a listener called whenever the settings change
+     * @param {Function} listener - Receives the new settings
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // ============================================================================
+    // ORDER BREAKDOWN
+    // ============================================================================
+
+    /**
+     * Get the tax rate of a cart line
+     * @param {Object} item - Cart line with an optional taxRate
+     * @returns {number} Rate in %
+     */
+    function getRate(item) {
+        return isRate(item.taxRate) ? item.taxRate : settings.defaultRate;
+    }
+
+    /**
+     * Add taxes and the service charge to a priced cart
+     * @param {Object} pricing - Result of Pricing.priceItems
+     * @param {Array} items - Cart lines { productId, taxRate }
+     * @returns {Object} The pricing plus { pricesIncludeTax, taxLabel, taxes: [{ rate, base, amount }],
+     *   taxTotal, netTotal, serviceChargeRate, serviceCharge, total }
+     */
+    function applyTaxes(pricing, items) {
+        const rates = new Map(items.map(item => [item.productId, getRate(item)]));
+        const amountsByRate = new Map();
+        pricing.lines.forEach(line => {
+            const rate = rates.has(line.productId) ? rates.get(line.productId) : settings.defaultRate;
+            amountsByRate.set(rate, (amountsByRate.get(rate) || 0) + line.net);
+        });
+
+        // base is the amount before tax; amount is the tax on it
+        const taxes = Array.from(amountsByRate, ([rate, amount]) => {
+            const tax = settings.pricesIncludeTax
+                ? Math.round(amount - amount / (1 + rate / 100))
+                : Math.round(amount * rate / 100);
+            return {
+                rate: rate,
+                base: settings.pricesIncludeTax ? Math.round(amount) - tax : Math.round(amount),
+                amount: tax
+            };
+        }).filter(entry => entry.base > 0 || entry.amount > 0).sort((a, b) => b.rate - a.rate);
+
+        const taxTotal = taxes.reduce((sum, entry) => sum + entry.amount, 0);
+        const serviceCharge = Math.round(pricing.total * settings.serviceChargeRate / 100);
+        const taxedTotal = settings.pricesIncludeTax ? pricing.total : pricing.total + taxTotal;
+
+        return {
+            ...pricing,
+            pricesIncludeTax: settings.pricesIncludeTax,
+            taxLabel: settings.taxLabel,
+            taxes: taxes,
+            taxTotal: taxTotal,
+            netTotal: taxedTotal - taxTotal,
+            serviceChargeRate: settings.serviceChargeRate,
+            serviceCharge: serviceCharge,
+            total: taxedTotal + serviceCharge
+        };
+    }
+
+    /**
+     * Describe a tax entry, e.g. "TVA 19%"
+     * @param {Object} entry - Tax entry { rate }
+     * @param {string} label - Tax name (defaults to the current one)
+     * @returns {string} Label
+     */
+    function formatTaxLabel(entry, label = settings.taxLabel) {
+        return `${label} ${entry.rate}%`;
+    }
+
+    // ============================================================================
+    // SETTINGS PANEL
+    // ============================================================================
+
+    function open() {
+        render();
+        showErrors([]);
+        modalElement.classList.add('visible');
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Fill the form from the current settings
+     */
+    function render() {
+        fields.taxLabel.value = settings.taxLabel;
+        fields.defaultRate.value = settings.defaultRate;
+        fields.pricesIncludeTax.checked = settings.pricesIncludeTax;
+        fields.serviceChargeRate.value = settings.serviceChargeRate;
+    }
+
+    /**
+     * Handle form submit
+     * @param {Event} event - Submit event
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+
+        const result = update({
+            taxLabel: fields.taxLabel.value,
+            defaultRate: fields.defaultRate.value === '' ? NaN : Number(fields.defaultRate.value),
+            pricesIncludeTax: fields.pricesIncludeTax.checked,
+            serviceChargeRate: fields.serviceChargeRate.value === '' ? 0 : Number(fields.serviceChargeRate.value)
+        });
+
+        if (result.success) {
+            close();
+        } else {
+            showErrors(result.errors);
+        }
+    }
+
+    /**
+     * Show validation errors under the form
+     * @param {Array<string>} errors - Error messages
+     */
+    function showErrors(errors) {
+        errorsElement.innerHTML = errors.map(error => `<p>${Utils.escapeHtml(error)}</p>`).join('');
+        errorsElement.classList.toggle('visible', errors.length > 0);
+    }
+
+    // Public API
+    return {
+        init,
+        getSettings,
+        isRate,
+        validateSettings,
+        update,
+        onChange,
+        getRate,
+        applyTaxes,
+        formatTaxLabel,
+        open,
+        close
+    };
+})();
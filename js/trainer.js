@@ -0,0 +1,483 @@
+/**
+ * Trainer Module
+ * On-device fine-tuning: keeps the active model's feature extractor and
+ * trains a new classification head on the training samples captured at this
+ * counter, so new products can be taught without Teachable Machine
+ * The result is stored as a new ModelRegistry version; everything runs
+ * locally with TensorFlow.js (WebGL or CPU backend)
+ */
+
+const Trainer = (function() {
+    'use strict';
+
+    // Training defaults (Teachable Machine's own head: Dense 100 relu + softmax)
+    const HIDDEN_UNITS = 100;
+    const BATCH_SIZE = 16;
+    const DEFAULT_EPOCHS = 50;
+    const DEFAULT_LEARNING_RATE = 0.001;
+    const MIN_SAMPLES_PER_CLASS = 5;
+    const EPOCH_LIMITS = { min: 5, max: 500 };
+
+    // Frames captured per click, spaced so the item can be turned in between
+    const BURST_FRAMES = 10;
+    const BURST_DELAY = 200;
+
+    // Private state
+    let extraClasses = [];
+    let trained = null;
+    let busy = false;
+
+    // DOM Elements
+    const modalElement = document.getElementById('trainerModal');
+    const baseModelElement = document.getElementById('trainerBaseModel');
+    const classListElement = document.getElementById('trainerClassList');
+    const newClassInput = document.getElementById('trainerNewClass');
+    const epochsInput = document.getElementById('trainerEpochs');
+    const learningRateInput = document.getElementById('trainerLearningRate');
+    const versionNameInput = document.getElementById('trainerVersionName');
+    const progressBar = document.getElementById('trainerProgressBar');
+    const messageElement = document.getElementById('trainerMessage');
+    const trainBtn = document.getElementById('trainerTrainBtn');
+    const saveBtn = document.getElementById('trainerSaveBtn');
+
+    /**
+     * Initialize trainer module
+     */
+    function init() {
+        document.getElementById('openTrainerBtn').addEventListener('click', open);
+        document.getElementById('trainerAddClassBtn').addEventListener('click', handleAddClass);
+        trainBtn.addEventListener('click', handleTrain);
+        saveBtn.addEventListener('click', handleSave);
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+
+        epochsInput.value = DEFAULT_EPOCHS;
+        learningRateInput.value = DEFAULT_LEARNING_RATE;
+
+        console.log('[Trainer] Module initialized');
+    }
+
+    // ============================================================================
+    // TRAINING
+    // ============================================================================
+
+    /**
+     * Count stored training samples per class label
+     * @returns {Promise<Object>} label → count
+     */
+    async function countSamples() {
+        const counts = {};
+        (await Samples.getAllSamples()).forEach(sample => {
+            counts[sample.label] = (counts[sample.label] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Validate a training request
+     * @param {Array<string>} labels - Classes to train, in output order
+     * @param {Object} counts - Samples per label
+     * @param {Object} options - { epochs, learningRate }
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    function validateTraining(labels, counts, options) {
+        const errors = [];
+
+        if (labels.length < 2) {
+            errors.push('Select at least two classes to train.');
+        }
+        labels
+            .filter(label => (counts[label] || 0) < MIN_SAMPLES_PER_CLASS)
+            .forEach(label => {
+                errors.push(`"${label}" needs at least ${MIN_SAMPLES_PER_CLASS} samples (has ${counts[label] || 0}).`);
+            });
+        if (!Number.isInteger(options.epochs) || options.epochs < EPOCH_LIMITS.min || options.epochs > EPOCH_LIMITS.max) {
+            errors.push(`Epochs must be ${EPOCH_LIMITS.min}–${EPOCH_LIMITS.max}.`);
+        }
+        if (!(options.learningRate > 0 && options.learningRate < 1)) {
+            errors.push('Learning rate must be between 0 and 1.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Turn the stored samples of the chosen classes into feature vectors
+     * @param {Array<string>} labels - Classes to train
+     * @param {Function} onProgress - Called with (done, total)
+     * @returns {Promise<Object>} { features: Array<Float32Array>, classIndices: Array<number> }
+     */
+    async function buildTrainingSet(labels, onProgress) {
+        const samples = (await Samples.getAllSamples()).filter(sample => labels.includes(sample.label));
+        const features = [];
+        const classIndices = [];
+
+        for (const sample of samples) {
+            const bitmap = await createImageBitmap(sample.image);
+            try {
+                features.push(await Detection.extractFeatures(bitmap));
+            } finally {
+                bitmap.close();
+            }
+            classIndices.push(labels.indexOf(sample.label));
+            onProgress(features.length, samples.length);
+        }
+
+        return { features, classIndices };
+    }
+
+    /**
+     * Create an untrained classification head
+     * @param {number} featureSize - Length of the feature vectors
+     * @param {number} classCount - Number of output classes
+     * @returns {tf.Sequential} Head model
+     */
+    function createHead(featureSize, classCount) {
+        return tf.sequential({
+            name: `trained_head_${Date.now()}`,
+            layers: [
+                tf.layers.dense({ inputShape: [featureSize], units: HIDDEN_UNITS, activation: 'relu' }),
+                tf.layers.dense({ units: classCount, activation: 'softmax' })
+            ]
+        });
+    }
+
+    /**
+     * Train a new classification head on the stored samples
+     * The previous unsaved training result is discarded
+     * @param {Array<string>} labels - Classes to train, in output order
+     * @param {Object} options - { epochs, learningRate }
+     * @param {Function} onProgress - Called with { stage: 'features'|'training', done, total, loss, accuracy }
+     * @returns {Promise<Object>} { labels, sampleCount, loss, accuracy }
+     */
+    async function train(labels, options = {}, onProgress = () => {}) {
+        // Only omitted options fall back; 0 or NaN from an empty field is rejected below
+        const settings = {
+            epochs: options.epochs !== undefined ? options.epochs : DEFAULT_EPOCHS,
+            learningRate: options.learningRate !== undefined ? options.learningRate : DEFAULT_LEARNING_RATE
+        };
+        const errors = validateTraining(labels, await countSamples(), settings);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        discardTraining();
+        const baseVersion = Detection.getModelStatus().version;
+        // Fails early when the active model cannot be fine-tuned
+        Detection.getFeatureExtractor();
+
+        const set = await buildTrainingSet(labels, (done, total) => {
+            onProgress({ stage: 'features', done, total });
+        });
+        const featureSize = set.features[0].length;
+        const flat = new Float32Array(set.features.length * featureSize);
+        set.features.forEach((vector, i) => flat.set(vector, i * featureSize));
+
+        const xs = tf.tensor2d(flat, [set.features.length, featureSize]);
+        const ys = tf.tidy(() => tf.oneHot(tf.tensor1d(set.classIndices, 'int32'), labels.length));
+        const head = createHead(featureSize, labels.length);
+        head.compile({
+            optimizer: tf.train.adam(settings.learningRate),
+            loss: 'categoricalCrossentropy',
+            metrics: ['accuracy']
+        });
+
+        let last = { loss: null, accuracy: null };
+        try {
+            await head.fit(xs, ys, {
+                epochs: settings.epochs,
+                batchSize: Math.min(BATCH_SIZE, set.features.length),
+                shuffle: true,
+                callbacks: {
+                    onEpochEnd: (epoch, logs) => {
+                        last = { loss: logs.loss, accuracy: logs.acc !== undefined ? logs.acc : logs.accuracy };
+                        onProgress({ stage: 'training', done: epoch + 1, total: settings.epochs, ...last });
+                    }
+                }
+            });
+        } catch (error) {
+            head.dispose();
+            throw error;
+        } finally {
+            // The head is not trained further, so the optimizer state can go
+            head.optimizer.dispose();
+            tf.dispose([xs, ys]);
+        }
+
+        trained = {
+            head: head,
+            labels: labels.slice(),
+            baseVersion: baseVersion,
+            sampleCount: set.features.length,
+            ...last
+        };
+        console.log('[Trainer] Trained head on', trained.sampleCount, 'samples:', labels.join(', '));
+
+        return getTrainingResult();
+    }
+
+    /**
+     * Get the unsaved training result
+     * @returns {Object|null} { labels, sampleCount, loss, accuracy, baseVersion }
+     */
+    function getTrainingResult() {
+        if (!trained) return null;
+        const { head, ...result } = trained;
+        return result;
+    }
+
+    /**
+     * Dispose the unsaved training result
+     */
+    function discardTraining() {
+        if (trained) {
+            trained.head.dispose();
+            trained = null;
+        }
+    }
+
+    /**
+     * Combine the feature extractor with the trained head and store it as a
+     * new model version, loadable by Detection.loadModel via ModelRegistry
+     * @param {string} name - Optional version name
+     * @returns {Promise<Object>} Stored version summary
+     */
+    async function saveTrainedModel(name = '') {
+        if (!trained) {
+            throw new Error('Train a model first');
+        }
+
+        const status = Detection.getModelStatus();
+        if (status.version.id !== trained.baseVersion.id) {
+            throw new Error('The active model changed since training. Train again.');
+        }
+
+        // The extractor still belongs to the running model, so the combined
+        // model is only serialized and never disposed
+        const fullModel = tf.sequential({ layers: [Detection.getFeatureExtractor(), trained.head] });
+        let artifacts = null;
+        await fullModel.save(tf.io.withSaveHandler(async modelArtifacts => {
+            artifacts = modelArtifacts;
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }));
+
+        const versionName = name.trim() || `Trained ${new Date().toLocaleString()}`;
+        const metadata = {
+            tfjsVersion: tf.version.tfjs,
+            modelName: versionName,
+            timeStamp: new Date().toISOString(),
+            labels: trained.labels,
+            imageSize: status.imageSize,
+            userMetadata: {
+                trainedOnDevice: true,
+                baseModel: trained.baseVersion.name,
+                samples: trained.sampleCount,
+                accuracy: trained.accuracy
+            }
+        };
+
+        const version = await ModelRegistry.saveTrainedVersion(artifacts, metadata, versionName);
+        discardTraining();
+        return version;
+    }
+
+    // ============================================================================
+    // TRAINING SCREEN
+    // ============================================================================
+
+    /**
+     * Classes offered for training: the model's labels, sampled labels and
+     * classes added for new products
+     * @param {Object} counts - Samples per label
+     * @returns {Array<string>} Labels
+     */
+    function getClassOptions(counts) {
+        return [...new Set([
+            ...Detection.getLabels(),
+            ...Object.keys(counts),
+            ...extraClasses
+        ])];
+    }
+
+    async function open() {
+        showMessage('');
+        setProgress(0);
+        modalElement.classList.add('visible');
+        await render();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Render the class list and button states
+     */
+    async function render() {
+        const escape = Utils.escapeHtml;
+        const status = Detection.getModelStatus();
+        baseModelElement.textContent = status.loaded
+            ? `Base model: ${status.version.name} · ${status.labels.join(', ')}`
+            : 'Load a model before training';
+
+        // Keep the selection across re-renders
+        const selected = getSelectedLabels();
+        const hadSelection = classListElement.querySelector('input[type="checkbox"]') !== null;
+        const counts = await countSamples();
+
+        classListElement.innerHTML = getClassOptions(counts).map(label => {
+            const count = counts[label] || 0;
+            const checked = hadSelection ? selected.includes(label) : count >= MIN_SAMPLES_PER_CLASS;
+            const product = Detection.isEmptyClass(label) ? null : Detection.mapClassToProduct(label);
+            const mapping = Detection.isEmptyClass(label)
+                ? 'No product (empty counter)'
+                : product ? escape(product.nameEn) : 'Not mapped to a product yet';
+
+            return `
+                <div class="catalog-row">
+                    <label class="checkbox-field">
+                        <input type="checkbox" value="${escape(label)}" ${checked ? 'checked' : ''} ${busy ? 'disabled' : ''}>
+                        <span class="catalog-info">
+                            <span class="cart-item-name">${escape(label)}</span>
+                            <span class="cart-item-name-en">${count} samples · ${mapping}</span>
+                        </span>
+                    </label>
+                    <div class="catalog-actions">
+                        <button class="btn btn-secondary btn-small" onclick="Trainer.captureBurst(this.dataset.label)" data-label="${escape(label)}" ${busy ? 'disabled' : ''}>📸 Capture ×${BURST_FRAMES}</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        trainBtn.disabled = busy || !status.loaded;
+        saveBtn.disabled = busy || !trained;
+    }
+
+    function getSelectedLabels() {
+        return Array.from(classListElement.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => input.value);
+    }
+
+    function handleAddClass() {
+        const label = newClassInput.value.trim();
+        if (!label) return;
+
+        const existing = [...Detection.getLabels(), ...extraClasses].map(l => l.toLowerCase());
+        if (!existing.includes(label.toLowerCase())) {
+            extraClasses.push(label);
+        }
+        newClassInput.value = '';
+        render();
+    }
+
+    /**
+     * Capture a burst of frames as samples of a class
+     * @param {string} label - Class label
+     */
+    async function captureBurst(label) {
+        if (busy) return;
+        if (!Camera.isRunning()) {
+            showMessage('Start the camera and hold the item in the scan area first.', true);
+            return;
+        }
+
+        busy = true;
+        await render();
+        try {
+            for (let i = 0; i < BURST_FRAMES; i++) {
+                showMessage(`📸 Capturing ${label}: ${i + 1}/${BURST_FRAMES} — turn the item slowly`);
+                await Samples.captureSample(label, { reason: 'manual' });
+                await new Promise(resolve => setTimeout(resolve, BURST_DELAY));
+            }
+            showMessage(`✅ Captured ${BURST_FRAMES} samples of "${Utils.escapeHtml(label)}"`);
+        } catch (error) {
+            console.error('[Trainer] Capture failed:', error);
+            showMessage(`❌ ${Utils.escapeHtml(error.message)}`, true);
+        } finally {
+            busy = false;
+            await render();
+        }
+    }
+
+    async function handleTrain() {
+        if (busy) return;
+
+        const labels = getSelectedLabels();
+        busy = true;
+        setProgress(0);
+        await render();
+
+        try {
+            const result = await train(labels, {
+                epochs: Number(epochsInput.value),
+                learningRate: Number(learningRateInput.value)
+            }, progress => {
+                if (progress.stage === 'features') {
+                    showMessage(`<span class="loading-spinner"></span> Reading samples ${progress.done}/${progress.total}...`);
+                    setProgress(progress.done / progress.total * 0.2);
+                } else {
+                    showMessage(`<span class="loading-spinner"></span> Epoch ${progress.done}/${progress.total} · loss ${progress.loss.toFixed(3)} · accuracy ${Math.round(progress.accuracy * 100)}%`);
+                    setProgress(0.2 + progress.done / progress.total * 0.8);
+                }
+            });
+            showMessage(`✅ Trained on ${result.sampleCount} samples · accuracy ${Math.round(result.accuracy * 100)}%. Save it to start using it.`);
+        } catch (error) {
+            console.error('[Trainer] Training failed:', error);
+            showMessage(`❌ ${Utils.escapeHtml(error.message)}`, true);
+            setProgress(0);
+        } finally {
+            busy = false;
+            await render();
+        }
+    }
+
+    async function handleSave() {
+        if (busy) return;
+        // Saving activates the new model, which is a manager action
+        const manager = await Users.requireManager('Activate the trained model');
+        if (!manager) return;
+
+        busy = true;
+        await render();
+        try {
+            const version = await saveTrainedModel(versionNameInput.value);
+            showMessage('<span class="loading-spinner"></span> Activating...');
+            await ModelRegistry.activate(version.id, manager);
+            versionNameInput.value = '';
+            extraClasses = [];
+
+            const unmapped = version.labels.filter(label => !Detection.isEmptyClass(label) && !Detection.mapClassToProduct(label));
+            showMessage(`✅ "${Utils.escapeHtml(version.name)}" is now the active model.` +
+                (unmapped.length > 0 ? ` Map ${unmapped.map(Utils.escapeHtml).join(', ')} to products in the Product Catalog.` : ''));
+        } catch (error) {
+            console.error('[Trainer] Saving failed:', error);
+            showMessage(`❌ ${Utils.escapeHtml(error.message)}`, true);
+        } finally {
+            busy = false;
+            await render();
+        }
+    }
+
+    function setProgress(fraction) {
+        progressBar.style.width = `${Math.round(fraction * 100)}%`;
+    }
+
+    function showMessage(html, isError = false) {
+        messageElement.innerHTML = html;
+        messageElement.classList.toggle('error', isError);
+    }
+
+    // Public API
+    return {
+        init,
+        validateTraining,
+        train,
+        getTrainingResult,
+        discardTraining,
+        saveTrainedModel,
+        captureBurst,
+        open,
+        close
+    };
+})();
@@ -0,0 +1,710 @@
+/**
+ * Users Module
+ * Local cashier and manager accounts with PIN login, persisted in localStorage
+ * PINs are never stored: each account keeps a salted PBKDF2 hash of its PIN
+ *
+ * The logged-in user is attributed on orders, voids, refunds, shifts and
+ * stat resets. Manager-only actions call requireManager(), which passes for
+ * a logged-in manager and otherwise asks for a manager PIN; the functions
+ * behind them take the approving manager and check it with assertApproved()
+ */
+
+const Users = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'pos_users';
+    const SESSION_KEY = 'pos_current_user';
+
+    const ROLES = [
+        { id: 'cashier', label: 'Cashier' },
+        { id: 'manager', label: 'Manager' }
+    ];
+
+    // 4 to 8 digits, typed on the till's number pad
+    const PIN_PATTERN = /^\d{4,8}$/;
+
+    // PBKDF2 settings for PIN hashes
+    const HASH_ITERATIONS = 100000;
+    const SALT_BYTES = 16;
+
+    // Private state
+    let users = [];
+    let currentUserId = null;
+    let listeners = [];
+    let resolveApproval = null;
+    let loginUserId = null;
+
+    // DOM Elements
+    const userStatusElement = document.getElementById('userStatus');
+    const lockBtn = document.getElementById('lockBtn');
+    const openUsersBtn = document.getElementById('openUsersBtn');
+
+    const loginModal = document.getElementById('loginModal');
+    const loginPanel = document.getElementById('loginPanel');
+    const loginUsersElement = document.getElementById('loginUsers');
+    const loginForm = document.getElementById('loginForm');
+    const loginPinInput = document.getElementById('loginPin');
+    const loginErrorsElement = document.getElementById('loginErrors');
+    const setupPanel = document.getElementById('setupPanel');
+    const setupForm = document.getElementById('setupForm');
+    const setupErrorsElement = document.getElementById('setupErrors');
+
+    const approvalModal = document.getElementById('approvalModal');
+    const approvalForm = document.getElementById('approvalForm');
+    const approvalReasonElement = document.getElementById('approvalReason');
+    const approvalPinInput = document.getElementById('approvalPin');
+    const approvalErrorsElement = document.getElementById('approvalErrors');
+
+    const usersModal = document.getElementById('usersModal');
+    const listElement = document.getElementById('usersList');
+    const formElement = document.getElementById('userForm');
+    const formTitleElement = document.getElementById('userFormTitle');
+    const errorsElement = document.getElementById('userErrors');
+    const fields = {
+        id: document.getElementById('userId'),
+        name: document.getElementById('userName'),
+        role: document.getElementById('userRole'),
+        pin: document.getElementById('userPin'),
+        pinConfirm: document.getElementById('userPinConfirm')
+    };
+
+    /**
+     * Initialize users module
+     * Restores the session, or shows the login (or first-run setup) screen
+     */
+    function init() {
+        loadUsers();
+
+        fields.role.innerHTML = ROLES.map(role => `<option value="${role.id}">${role.label}</option>`).join('');
+
+        lockBtn.addEventListener('click', logout);
+        openUsersBtn.addEventListener('click', async () => {
+            if (await requireManager('Manage user accounts')) {
+                open();
+            }
+        });
+        usersModal.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        document.getElementById('userResetBtn').addEventListener('click', resetForm);
+        formElement.addEventListener('submit', handleSubmit);
+
+        loginForm.addEventListener('submit', handleLogin);
+        setupForm.addEventListener('submit', handleSetup);
+        approvalForm.addEventListener('submit', handleApproval);
+        approvalModal.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', () => finishApproval(null));
+        });
+
+        const stored = localStorage.getItem(SESSION_KEY);
+        const user = users.find(entry => entry.id === stored && entry.active);
+        currentUserId = user ? user.id : null;
+
+        updateStatus();
+        if (!currentUserId) {
+            showLogin();
+        }
+        console.log('[Users] Module initialized with', users.length, 'accounts');
+    }
+
+    /**
+     * Load accounts from localStorage
+     */
+    function loadUsers() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(stored)) {
+                users = stored;
+                console.log('[Users] Loaded from storage');
+            }
+        } catch (error) {
+            console.error('[Users] Failed to load from storage:', error);
+        }
+    }
+
+    /**
+     * Save accounts to localStorage
+     */
+    function saveUsers() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(users));
+            console.log('[Users] Saved to storage');
+        } catch (error) {
+            console.error('[Users] Failed to save to storage:', error);
+        }
+    }
+
+    /**
+     * Copy an account without its PIN hash
+     * @param {Object} user - Stored account
+     * @returns {Object} { id, name, role, active, createdAt }
+     */
+    function toPublic(user) {
+        return {
+            id: user.id,
+            name: user.name,
+            role: user.role,
+            active: user.active,
+            createdAt: user.createdAt
+        };
+    }
+
+    function getUsers() {
+        return users.map(toPublic);
+    }
+
+    function getRoleLabel(roleId) {
+        const role = ROLES.find(entry => entry.id === roleId);
+        return role ? role.label : roleId;
+    }
+
+    // ============================================================================
+    // PIN HASHING
+    // ============================================================================
+
+    function toHex(bytes) {
+        return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+    }
+
+    /**
+     * Hash a PIN with PBKDF2-SHA-256
+     * @param {string} pin - PIN
+     * @param {string} salt - Hex salt
+     * @returns {Promise<string>} Hex hash
+     */
+    async function hashPin(pin, salt) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: fromHex(salt), iterations: HASH_ITERATIONS, hash: 'SHA-256' },
+            key,
+            256
+        );
+        return toHex(bits);
+    }
+
+    /**
+     * Create the stored hash fields for a PIN
+     * @param {string} pin - PIN
+     * @returns {Promise<Object>} { pinSalt, pinHash }
+     */
+    async function createPinHash(pin) {
+        const salt = toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+        return { pinSalt: salt, pinHash: await hashPin(pin, salt) };
+    }
+
+    /**
+     * Check a PIN against an account
+     * @param {Object} user - Stored account
+     * @param {string} pin - PIN to check
+     * @returns {Promise<boolean>} True when the PIN matches
+     */
+    async function checkPin(user, pin) {
+        if (!PIN_PATTERN.test(pin || '')) {
+            return false;
+        }
+        return (await hashPin(pin, user.pinSalt)) === user.pinHash;
+    }
+
+    // ============================================================================
+    // ACCOUNTS
+    // ============================================================================
+
+    /**
+     * Validate account data
+     * @param {Object} data - { name, role, pin, pinConfirm, active }
+     * @param {string|null} userId - ID of the account being edited (its PIN may stay unchanged)
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    function validateUser(data, userId = null) {
+        const errors = [];
+        const name = (data.name || '').trim();
+
+        if (!name) {
+            errors.push('Name is required.');
+        } else if (users.some(user => user.id !== userId && user.name.toLowerCase() === name.toLowerCase())) {
+            errors.push(`An account named "${name}" already exists.`);
+        }
+        if (!ROLES.some(role => role.id === data.role)) {
+            errors.push('Choose a role.');
+        }
+        if (data.pin || !userId) {
+            if (!PIN_PATTERN.test(data.pin || '')) {
+                errors.push('PIN must be 4 to 8 digits.');
+            } else if (data.pinConfirm !== undefined && data.pin !== data.pinConfirm) {
+                errors.push('The two PINs do not match.');
+            }
+        }
+
+        // Someone must always be able to approve manager actions
+        if (userId) {
+            const user = users.find(entry => entry.id === userId);
+            const losesManager = user && user.role === 'manager' && user.active && (data.role !== 'manager' || data.active === false);
+            if (losesManager && countActiveManagers() === 1) {
+                errors.push('Keep at least one active manager account.');
+            }
+        }
+
+        return errors;
+    }
+
+    function countActiveManagers() {
+        return users.filter(user => user.role === 'manager' && user.active).length;
+    }
+
+    /**
+     * Add an account
+     * @param {Object} data - { name, role, pin, pinConfirm }
+     * @returns {Promise<Object>} Result with success and user or errors
+     */
+    async function addUser(data) {
+        const errors = validateUser(data);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        const user = {
+            id: `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            name: data.name.trim(),
+            role: data.role,
+            active: true,
+            createdAt: new Date().toISOString(),
+            ...(await createPinHash(data.pin))
+        };
+
+        users.push(user);
+        saveUsers();
+        render();
+        console.log('[Users] Added account:', user.name, user.role);
+        return { success: true, user: toPublic(user) };
+    }
+
+    /**
+     * Update an account; an empty PIN keeps the current one
+     * @param {string} id - User ID
+     * @param {Object} changes - { name, role, pin, pinConfirm, active }
+     * @returns {Promise<Object>} Result with success and user or errors
+     */
+    async function updateUser(id, changes) {
+        const index = users.findIndex(user => user.id === id);
+        if (index === -1) {
+            return { success: false, errors: ['Account not found.'] };
+        }
+
+        const data = { ...toPublic(users[index]), ...changes };
+        const errors = validateUser(data, id);
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        const updated = {
+            ...users[index],
+            name: data.name.trim(),
+            role: data.role,
+            active: data.active
+        };
+        if (changes.pin) {
+            Object.assign(updated, await createPinHash(changes.pin));
+        }
+
+        users[index] = updated;
+        saveUsers();
+        if (id === currentUserId && !updated.active) {
+            logout();
+        } else {
+            updateStatus();
+        }
+        render();
+        console.log('[Users] Updated account:', updated.name);
+        return { success: true, user: toPublic(updated) };
+    }
+
+    /**
+     * Activate or deactivate an account
+     * @param {string} id - User ID
+     * @param {boolean} active - New active state
+     * @returns {Promise<Object>} Result with success or errors
+     */
+    function setActive(id, active) {
+        return updateUser(id, { active: active });
+    }
+
+    // ============================================================================
+    // SESSION
+    // ============================================================================
+
+    /**
+     * Log in with an account's PIN
+     * @param {string} userId - User ID
+     * @param {string} pin - PIN
+     * @returns {Promise<Object>} Result with success and user or errors
+     */
+    async function login(userId, pin) {
+        const user = users.find(entry => entry.id === userId && entry.active);
+        if (!user) {
+            return { success: false, errors: ['Choose your account.'] };
+        }
+        if (!(await checkPin(user, pin))) {
+            console.log('[Users] Wrong PIN for', user.name);
+            return { success: false, errors: ['Wrong PIN.'] };
+        }
+
+        currentUserId = user.id;
+        localStorage.setItem(SESSION_KEY, user.id);
+        updateStatus();
+        console.log('[Users] Logged in:', user.name);
+        return { success: true, user: toPublic(user) };
+    }
+
+    /**
+     * Log out and lock the till until someone logs in
+     */
+    function logout() {
+        const user = getCurrentUser();
+        currentUserId = null;
+        localStorage.removeItem(SESSION_KEY);
+        updateStatus();
+        showLogin();
+        console.log('[Users] Logged out:', user ? user.name : '-');
+    }
+
+    /**
+     * Get the logged-in user
+     * @returns {Object|null} { id, name, role, active, createdAt }
+     */
+    function getCurrentUser() {
+        const user = users.find(entry => entry.id === currentUserId);
+        return user ? toPublic(user) : null;
+    }
+
+    /**
+     * Get the logged-in user as stored on orders, voids, refunds and shifts
+     * @returns {Object|null} { id, name, role }
+     */
+    function getAttribution() {
+        const user = getCurrentUser();
+        return user ? { id: user.id, name: user.name, role: user.role } : null;
+    }
+
+    function isManager() {
+        const user = getCurrentUser();
+        return user !== null && user.role === 'manager';
+    }
+
+    /**
+     * Register a listener called when the logged-in user changes
+     * @param {Function} listener - Receives the user (or null)
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Show who is logged in and which actions they can reach
+     */
+    function updateStatus() {
+        const user = getCurrentUser();
+        userStatusElement.querySelector('.status-text').textContent = user
+            ? `${user.name} · ${getRoleLabel(user.role)}`
+            : 'Locked';
+        userStatusElement.classList.toggle('logged-in', user !== null);
+        lockBtn.disabled = user === null;
+        listeners.forEach(listener => listener(user));
+    }
+
+    // ============================================================================
+    // MANAGER APPROVAL
+    // ============================================================================
+
+    /**
+     * Allow a manager-only action
+     * Passes straight away for a logged-in manager; otherwise asks for a manager PIN
+     * @param {string} reason - What needs approval, shown in the dialog
+     * @returns {Promise<Object|null>} Approving manager { id, name, role }, or null if cancelled
+     */
+    function requireManager(reason) {
+        if (isManager()) {
+            return Promise.resolve(getAttribution());
+        }
+        if (resolveApproval) {
+            resolveApproval(null);
+        }
+
+        approvalReasonElement.textContent = reason;
+        approvalForm.reset();
+        showErrorsIn(approvalErrorsElement, []);
+        approvalModal.classList.add('visible');
+        approvalPinInput.focus();
+
+        return new Promise(resolve => {
+            resolveApproval = resolve;
+        });
+    }
+
+    /**
+     * Find the active manager with this PIN
+     * @param {string} pin - PIN
+     * @returns {Promise<Object|null>} Manager { id, name, role } or null
+     */
+    async function findManagerByPin(pin) {
+        const managers = users.filter(user => user.role === 'manager' && user.active);
+        for (const manager of managers) {
+            if (await checkPin(manager, pin)) {
+                return { id: manager.id, name: manager.name, role: manager.role };
+            }
+        }
+        return null;
+    }
+
+    async function handleApproval(event) {
+        event.preventDefault();
+
+        const manager = await findManagerByPin(approvalPinInput.value);
+        if (!manager) {
+            approvalPinInput.value = '';
+            showErrorsIn(approvalErrorsElement, ['Not a manager PIN.']);
+            return;
+        }
+
+        console.log('[Users] Approved by', manager.name, '-', approvalReasonElement.textContent);
+        finishApproval(manager);
+    }
+
+    function finishApproval(manager) {
+        approvalModal.classList.remove('visible');
+        approvalPinInput.value = '';
+        if (resolveApproval) {
+            resolveApproval(manager);
+            resolveApproval = null;
+        }
+    }
+
+    /**
+     * Check that a manager-only action was approved by an active manager
+     * @param {Object|null} approvedBy - Manager returned by requireManager() { id, name, role }
+     * @param {string} reason - What needs approval, used in the error
+     * @throws {Error} When no active manager approved the action
+     */
+    function assertApproved(approvedBy, reason) {
+        const manager = approvedBy ? users.find(user => user.id === approvedBy.id) : null;
+        if (!manager || manager.role !== 'manager' || !manager.active) {
+            throw new Error(`${reason} needs a manager's approval`);
+        }
+    }
+
+    // ============================================================================
+    // LOGIN SCREEN
+    // ============================================================================
+
+    /**
+     * Show the lock screen: account buttons and a PIN field, or the first-run
+     * form creating the first manager
+     */
+    function showLogin() {
+        const activeUsers = users.filter(user => user.active);
+        const firstRun = users.length === 0;
+
+        setupPanel.classList.toggle('hidden', !firstRun);
+        loginPanel.classList.toggle('hidden', firstRun);
+        showErrorsIn(loginErrorsElement, []);
+        showErrorsIn(setupErrorsElement, []);
+        loginForm.reset();
+        setupForm.reset();
+
+        loginUserId = activeUsers.length === 1 ? activeUsers[0].id : null;
+        renderLoginUsers();
+        loginModal.classList.add('visible');
+    }
+
+    function renderLoginUsers() {
+        loginUsersElement.innerHTML = users.filter(user => user.active).map(user => `
+            <button type="button" class="btn btn-secondary login-user ${user.id === loginUserId ? 'selected' : ''}" onclick="Users.selectLoginUser('${user.id}')">
+                👤 ${Utils.escapeHtml(user.name)}
+                <span class="cart-item-name-en">${getRoleLabel(user.role)}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Pick the account to log in to
+     * @param {string} userId - User ID
+     */
+    function selectLoginUser(userId) {
+        loginUserId = userId;
+        renderLoginUsers();
+        showErrorsIn(loginErrorsElement, []);
+        loginPinInput.focus();
+    }
+
+    async function handleLogin(event) {
+        event.preventDefault();
+
+        const result = await login(loginUserId, loginPinInput.value);
+        if (result.success) {
+            loginModal.classList.remove('visible');
+            loginForm.reset();
+        } else {
+            loginPinInput.value = '';
+            showErrorsIn(loginErrorsElement, result.errors);
+        }
+    }
+
+    /**
+     * Create the first manager account and log in with it
+     * @param {Event} event - Submit event
+     */
+    async function handleSetup(event) {
+        event.preventDefault();
+
+        const pin = document.getElementById('setupPin').value;
+        const result = await addUser({
+            name: document.getElementById('setupName').value,
+            role: 'manager',
+            pin: pin,
+            pinConfirm: document.getElementById('setupPinConfirm').value
+        });
+
+        if (!result.success) {
+            showErrorsIn(setupErrorsElement, result.errors);
+            return;
+        }
+        await login(result.user.id, pin);
+        loginModal.classList.remove('visible');
+    }
+
+    // ============================================================================
+    // ACCOUNTS SCREEN
+    // ============================================================================
+
+    function open() {
+        resetForm();
+        render();
+        usersModal.classList.add('visible');
+    }
+
+    function close() {
+        usersModal.classList.remove('visible');
+    }
+
+    /**
+     * Render the account list
+     */
+    function render() {
+        const escape = Utils.escapeHtml;
+
+        listElement.innerHTML = users.map(user => `
+            <div class="catalog-row ${user.active ? '' : 'inactive'}">
+                <div class="catalog-info">
+                    <span class="cart-item-name">${escape(user.name)} ${user.id === currentUserId ? '<span class="badge">Logged in</span>' : ''}</span>
+                    <span class="cart-item-name-en">${getRoleLabel(user.role)} · since ${new Date(user.createdAt).toLocaleDateString()}</span>
+                </div>
+                <div class="catalog-actions">
+                    <button class="btn btn-secondary btn-small" onclick="Users.editUser('${user.id}')">Edit</button>
+                    <button class="btn ${user.active ? 'btn-warning' : 'btn-success'} btn-small" onclick="Users.toggleActive('${user.id}')">
+                        ${user.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Load an account into the form for editing
+     * @param {string} id - User ID
+     */
+    function editUser(id) {
+        const user = users.find(entry => entry.id === id);
+        if (!user) return;
+
+        fields.id.value = user.id;
+        fields.name.value = user.name;
+        fields.role.value = user.role;
+        fields.pin.value = '';
+        fields.pinConfirm.value = '';
+        fields.pin.placeholder = 'Leave empty to keep';
+        formTitleElement.textContent = `Edit ${user.name}`;
+        showErrorsIn(errorsElement, []);
+    }
+
+    /**
+     * Toggle an account's active state from the list
+     * @param {string} id - User ID
+     */
+    async function toggleActive(id) {
+        const user = users.find(entry => entry.id === id);
+        if (!user) return;
+
+        const result = await setActive(id, !user.active);
+        if (!result.success) {
+            alert(result.errors.join('\n'));
+        }
+    }
+
+    /**
+     * Clear the form back to "add account" mode
+     */
+    function resetForm() {
+        formElement.reset();
+        fields.id.value = '';
+        fields.pin.placeholder = '4 to 8 digits';
+        formTitleElement.textContent = 'Add Account';
+        showErrorsIn(errorsElement, []);
+    }
+
+    async function handleSubmit(event) {
+        event.preventDefault();
+
+        const data = {
+            name: fields.name.value,
+            role: fields.role.value,
+            pin: fields.pin.value,
+            pinConfirm: fields.pinConfirm.value
+        };
+
+        const editingId = fields.id.value || null;
+        const result = editingId ? await updateUser(editingId, data) : await addUser(data);
+
+        if (result.success) {
+            resetForm();
+        } else {
+            showErrorsIn(errorsElement, result.errors);
+        }
+    }
+
+    /**
+     * Show validation errors in a form
+     * @param {HTMLElement} element - Error container
+     * @param {Array<string>} errors - Error messages
+     */
+    function showErrorsIn(element, errors) {
+        element.innerHTML = errors.map(error => `<p>${Utils.escapeHtml(error)}</p>`).join('');
+        element.classList.toggle('visible', errors.length > 0);
+    }
+
+    // Public API
+    return {
+        init,
+        getUsers,
+        getRoleLabel,
+        validateUser,
+        addUser,
+        updateUser,
+        setActive,
+        login,
+        logout,
+        getCurrentUser,
+        getAttribution,
+        isManager,
+        onChange,
+        requireManager,
+        assertApproved,
+        selectLoginUser,
+        open,
+        close,
+        editUser,
+        toggleActive
+    };
+})();
@@ -0,0 +1,33 @@
+/**
+ * Utils Module
+ * Small helpers shared by the UI modules
+ */
+
+const Utils = (function() {
+    'use strict';
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * Escape a value for safe insertion into innerHTML templates
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // Public API
+    return {
+        escapeHtml
+    };
+})();
@@ -0,0 +1,327 @@
+/**
+ * Voids Module
+ * Audit trail of everything taken out of the cart before checkout: removed
+ * lines, lowered quantities, cleared carts and undone additions
+ * Each void is stored in IndexedDB with the shift and user it happened
+ * under, what was voided and how those items had been entered (scanned,
+ * picked or by hand)
+ */
+
+const Voids = (function() {
+    'use strict';
+
+    const STORE_NAME = 'voids';
+
+    const ACTION_LABELS = {
+        remove: 'Line removed',
+        decrease: 'Quantity lowered',
+        clear: 'Cart cleared',
+        undo: 'Undone'
+    };
+
+    // Actions whose description adds to the voided lines ("Coffee × 1", "Add Water")
+    const DESCRIBED_ACTIONS = ['decrease', 'undo'];
+
+    // Option value for voids made while no shift was open
+    const NO_SHIFT = '';
+
+    // Private state
+    let selectedShiftId = null;
+
+    // DOM Elements
+    const modalElement = document.getElementById('voidModal');
+    const shiftSelect = document.getElementById('voidShiftSelect');
+    const summaryElement = document.getElementById('voidSummary');
+    const listElement = document.getElementById('voidList');
+
+    /**
+     * Initialize voids module
+     */
+    function init() {
+        document.getElementById('openVoidsBtn').addEventListener('click', () => open());
+        modalElement.querySelectorAll('[data-close]').forEach(btn => {
+            btn.addEventListener('click', close);
+        });
+        shiftSelect.addEventListener('change', () => {
+            selectedShiftId = shiftSelect.value;
+            renderList();
+        });
+
+        console.log('[Voids] Module initialized');
+    }
+
+    // ============================================================================
+    // AUDIT TRAIL
+    // ============================================================================
+
+    /**
+     * Summarize how a line's units were entered
+     * @param {Array} scans - Scan history of the line
+     * @returns {Object} { scanned, picked, manual, averageConfidence }
+     */
+    function describeEntries(scans) {
+        const confidences = scans
+            .map(scan => scan.confidence)
+            .filter(confidence => typeof confidence === 'number');
+
+        return {
+            // Added by the model without asking
+            scanned: scans.filter(scan => scan.source !== 'manual' && (scan.resolution === 'auto' || !scan.resolution)).length,
+            // Scanned, then chosen by the cashier among candidates or from the picker
+            picked: scans.filter(scan => scan.source !== 'manual' && (scan.resolution === 'picked' || scan.resolution === 'manual')).length,
+            // Tapped in the product grid
+            manual: scans.filter(scan => scan.source === 'manual').length,
+            averageConfidence: confidences.length > 0
+                ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+                : null
+        };
+    }
+
+    /**
+     * Work out which units left the cart between two states
+     * @param {Array} before - Cart lines before
+     * @param {Array} after - Cart lines after
+     * @returns {Array} Voided lines { productId, nameAr, nameEn, price, quantity, amount, entries }
+     */
+    function diffLines(before, after) {
+        return before
+            .map(line => {
+                const remaining = after.find(other => other.id === line.id);
+                const quantity = line.quantity - (remaining ? remaining.quantity : 0);
+                // Scans are appended and trimmed newest first, so the voided units' are at the end
+                const voidedScans = line.scans.slice(remaining ? remaining.scans.length : 0);
+                return {
+                    productId: line.productId,
+                    nameAr: line.nameAr,
+                    nameEn: line.nameEn,
+                    price: line.price,
+                    quantity: quantity,
+                    amount: quantity * line.price,
+                    entries: describeEntries(voidedScans)
+                };
+            })
+            .filter(line => line.quantity > 0);
+    }
+
+    /**
+     * Record a void when units left the cart
+     * @param {string} action - 'remove', 'decrease', 'clear' or 'undo'
+     * @param {Array} before - Cart lines before the action
+     * @param {Array} after - Cart lines after the action
+     * @param {string} description - The cart action, e.g. "Coffee × 1" or the undone "Add Water"
+     * @returns {string|null} Void ID, or null when nothing was voided
+     */
+    function recordVoid(action, before, after, description = '') {
+        const lines = diffLines(before, after);
+        if (lines.length === 0) {
+            return null;
+        }
+
+        const shift = Shifts.getCurrentShift();
+        const entry = {
+            id: `void_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            shiftId: shift ? shift.shiftId : null,
+            cashier: Users.getAttribution(),
+            action: action,
+            description: description,
+            lines: lines,
+            itemsCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+            amount: lines.reduce((sum, line) => sum + line.amount, 0),
+            restoredAt: null
+        };
+
+        DB.put(STORE_NAME, entry)
+            .then(() => console.log('[Voids] Recorded', action, entry.itemsCount, 'items,', entry.amount, 'DZD'))
+            .catch(error => console.error('[Voids] Failed to record void:', error));
+        return entry.id;
+    }
+
+    /**
+     * Mark a void as restored (its items were put back with undo/redo) or not
+     * The record stays in the audit trail either way
+     * @param {string} voidId - Void ID
+     * @param {boolean} restored - True when the items are back in the cart
+     * @returns {Promise<void>}
+     */
+    async function setRestored(voidId, restored) {
+        try {
+            const entry = await DB.get(STORE_NAME, voidId);
+            if (entry) {
+                entry.restoredAt = restored ? new Date().toISOString() : null;
+                await DB.put(STORE_NAME, entry);
+            }
+        } catch (error) {
+            console.error('[Voids] Failed to update void:', error);
+        }
+    }
+
+    /**
+     * Get the voids of a shift, newest first
+     * @param {string|null} shiftId - Shift ID, or null for voids made outside a shift
+     * @returns {Promise<Array>} Void records
+     */
+    async function getVoidsForShift(shiftId) {
+        const entries = await DB.getAll(STORE_NAME);
+        return entries
+            .filter(entry => entry.shiftId === shiftId)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Summarize voids for a Z-report; restored voids are counted apart
+     * @param {Array} entries - Void records
+     * @returns {Object} { count, itemsCount, amount, restoredCount, byAction: { action: { count, amount } } }
+     */
+    function summarize(entries) {
+        const summary = { count: 0, itemsCount: 0, amount: 0, restoredCount: 0, byAction: {} };
+
+        entries.forEach(entry => {
+            if (entry.restoredAt) {
+                summary.restoredCount += 1;
+                return;
+            }
+            summary.count += 1;
+            summary.itemsCount += entry.itemsCount;
+            summary.amount += entry.amount;
+            const action = summary.byAction[entry.action] || { count: 0, amount: 0 };
+            action.count += 1;
+            action.amount += entry.amount;
+            summary.byAction[entry.action] = action;
+        });
+
+        return summary;
+    }
+
+    function getActionLabel(action) {
+        return ACTION_LABELS[action] || action;
+    }
+
+    /**
+     * Describe how a voided line had been entered, e.g. "2 scanned (avg 91%) · 1 by hand"
+     * @param {Object} entries - Entry summary from describeEntries
+     * @returns {string} Description
+     */
+    function formatEntries(entries) {
+        const parts = [];
+        if (entries.scanned > 0) {
+            parts.push(`${entries.scanned} scanned`);
+        }
+        if (entries.picked > 0) {
+            parts.push(`${entries.picked} picked after scan`);
+        }
+        if (entries.manual > 0) {
+            parts.push(`${entries.manual} by hand`);
+        }
+        if (entries.averageConfidence !== null) {
+            parts.push(`avg ${Math.round(entries.averageConfidence * 100)}% confidence`);
+        }
+        return parts.join(' · ') || 'unknown';
+    }
+
+    // ============================================================================
+    // VOID REPORT
+    // ============================================================================
+
+    /**
+     * Open the void report
+     * @param {string|null} shiftId - Shift to show (defaults to the open shift)
+     */
+    async function open(shiftId) {
+        const current = Shifts.getCurrentShift();
+        selectedShiftId = shiftId !== undefined ? (shiftId || NO_SHIFT) : (current ? current.shiftId : NO_SHIFT);
+        modalElement.classList.add('visible');
+        await renderShiftOptions();
+        await renderList();
+    }
+
+    function close() {
+        modalElement.classList.remove('visible');
+    }
+
+    /**
+     * Offer the open shift, the closed shifts and voids made outside a shift
+     */
+    async function renderShiftOptions() {
+        const current = Shifts.getCurrentShift();
+        let reports = [];
+        try {
+            reports = await Shifts.getArchivedReports();
+        } catch (error) {
+            console.error('[Voids] Failed to read shifts:', error);
+        }
+
+        const options = [];
+        if (current) {
+            options.push({ value: current.shiftId, label: `Current shift (since ${new Date(current.openedAt).toLocaleString()})` });
+        }
+        reports.forEach(report => {
+            options.push({ value: report.shiftId, label: `${new Date(report.openedAt).toLocaleString()} → ${new Date(report.closedAt).toLocaleTimeString()}` });
+        });
+        options.push({ value: NO_SHIFT, label: 'Outside any shift' });
+
+        shiftSelect.innerHTML = options
+            .map(option => `<option value="${Utils.escapeHtml(option.value)}">${Utils.escapeHtml(option.label)}</option>`)
+            .join('');
+        shiftSelect.value = options.some(option => option.value === selectedShiftId) ? selectedShiftId : options[0].value;
+        selectedShiftId = shiftSelect.value;
+    }
+
+    /**
+     * Render the voids of the selected shift
+     */
+    async function renderList() {
+        const escape = Utils.escapeHtml;
+        let entries = [];
+        try {
+            entries = await getVoidsForShift(selectedShiftId || null);
+        } catch (error) {
+            console.error('[Voids] Failed to load voids:', error);
+            listElement.innerHTML = '<p class="no-detection">Could not load the void report.</p>';
+            return;
+        }
+
+        const summary = summarize(entries);
+        summaryElement.innerHTML = `
+            <div class="summary-row"><span>Voids:</span><span>${summary.count}</span></div>
+            <div class="summary-row"><span>Items voided:</span><span>${summary.itemsCount}</span></div>
+            ${summary.restoredCount > 0 ? `<div class="summary-row"><span>Restored with undo:</span><span>${summary.restoredCount}</span></div>` : ''}
+            <div class="summary-row total"><span>Value voided:</span><span>${summary.amount.toLocaleString()} DZD</span></div>
+        `;
+
+        listElement.innerHTML = entries.length === 0
+            ? '<p class="no-detection">No voids in this shift</p>'
+            : entries.map(entry => `
+                <div class="void-row ${entry.restoredAt ? 'restored' : ''}">
+                    <div class="void-header">
+                        <span class="cart-item-name">${escape(getActionLabel(entry.action))}${DESCRIBED_ACTIONS.includes(entry.action) && entry.description ? ` · ${escape(entry.description)}` : ''}</span>
+                        <span class="cart-item-price">−${entry.amount.toLocaleString()} DZD</span>
+                    </div>
+                    <span class="cart-item-name-en">
+                        ${new Date(entry.timestamp).toLocaleString()}
+                        ${entry.cashier ? ` · ${escape(entry.cashier.name)}` : ''}
+                        ${entry.restoredAt ? ` · restored ${new Date(entry.restoredAt).toLocaleTimeString()}` : ''}
+                    </span>
+                    ${entry.lines.map(line => `
+                        <div class="void-line">
+                            <span>${escape(line.nameEn)} / <span dir="rtl">${escape(line.nameAr)}</span> × ${line.quantity}</span>
+                            <span class="cart-item-name-en">${escape(formatEntries(line.entries))}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('');
+    }
+
+    // Public API
+    return {
+        init,
+        recordVoid,
+        setRestored,
+        getVoidsForShift,
+        summarize,
+        getActionLabel,
+        formatEntries,
+        open,
+        close
+    };
+})();
@@ -0,0 +1,214 @@
+/**
+ * Zip Module
+ * Minimal ZIP archive reader for Teachable Machine exports
+ * Supports stored and deflated entries (via DecompressionStream)
+ * Also writes uncompressed archives (used for training sample exports)
+ */
+
+const Zip = (function() {
+    'use strict';
+
+    // Record signatures
+    const LOCAL_FILE_HEADER = 0x04034b50;
+    const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+    // Compression methods
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATE = 8;
+
+    // General purpose flag: file names are UTF-8
+    const FLAG_UTF8 = 0x0800;
+
+    let crcTable = null;
+
+    /**
+     * Locate the End Of Central Directory record
+     * @param {DataView} view - Archive bytes
+     * @returns {number} Offset of the record
+     */
+    function findEndOfCentralDirectory(view) {
+        // The record is 22 bytes plus an optional comment of up to 64 KB
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+        for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+                return offset;
+            }
+        }
+        throw new Error('Not a valid ZIP file');
+    }
+
+    /**
+     * Inflate raw deflate data
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async function inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP files; extract it and import the files instead');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Read all file entries of a ZIP archive
+     * @param {ArrayBuffer} buffer - Archive contents
+     * @returns {Promise<Array<{name: string, data: Uint8Array}>>} Files (directories skipped)
+     */
+    async function readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+
+        const eocd = findEndOfCentralDirectory(view);
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+
+        const files = [];
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) {
+                continue;
+            }
+
+            if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+                throw new Error(`Corrupt ZIP entry: ${name}`);
+            }
+
+            // Local header name/extra lengths may differ from the central directory
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === METHOD_STORED) {
+                data = raw.slice();
+            } else if (method === METHOD_DEFLATE) {
+                data = await inflate(raw);
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+            }
+
+            files.push({ name: name, data: data });
+        }
+
+        return files;
+    }
+
+    /**
+     * Compute the CRC-32 checksum ZIP entries require
+     * @param {Uint8Array} data - Bytes
+     * @returns {number} Unsigned CRC-32
+     */
+    function crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Encode a date as MS-DOS time and date fields
+     * @param {Date} date - Date
+     * @returns {Object} { time, date }
+     */
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build an uncompressed ZIP archive
+     * Folders are implied by the "/" in entry names
+     * @param {Array<{name: string, data: Uint8Array}>} files - Entries
+     * @returns {Blob} ZIP archive
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const dos = toDosDateTime(new Date());
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_FILE_HEADER, true);
+            local.setUint16(4, 20, true);                   // Version needed
+            local.setUint16(6, FLAG_UTF8, true);
+            local.setUint16(8, METHOD_STORED, true);
+            local.setUint16(10, dos.time, true);
+            local.setUint16(12, dos.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);    // Compressed size
+            local.setUint32(22, file.data.length, true);    // Uncompressed size
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, file.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+            central.setUint16(4, 20, true);                 // Version made by
+            central.setUint16(6, 20, true);                 // Version needed
+            central.setUint16(8, FLAG_UTF8, true);
+            central.setUint16(10, METHOD_STORED, true);
+            central.setUint16(12, dos.time, true);
+            central.setUint16(14, dos.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralDirectory.push(central, name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, files.length, true);               // Entries on this disk
+        end.setUint16(10, files.length, true);              // Total entries
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    }
+
+    // Public API
+    return {
+        readZip,
+        createZip,
+        crc32
+    };
+})();
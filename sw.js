@@ -0,0 +1,151 @@
+/**
+ * Service Worker
+ * Keeps the POS working when the internet drops: the app shell, the
+ * vendored TensorFlow.js and the bundled model are cached on install
+ *
+ * - App shell (index.html, css/, js/, icons): served from the cache and
+ *   refreshed in the background, so updates apply on the next load
+ * - model/: network first, so a newly deployed model replaces the cached
+ *   copy as soon as the device is online; the cached copy is used offline
+ *
+ * Bump CACHE_VERSION whenever files are added to or removed from the lists
+ * below; old caches are deleted when the new worker activates
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v6';
+const CACHE_NAME = `pos-cache-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './css/style.css',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './js/vendor/tf.min.js',
+    './js/utils.js',
+    './js/offline.js',
+    './js/settings.js',
+    './js/users.js',
+    './js/db.js',
+    './js/zip.js',
+    './js/stats.js',
+    './js/camera.js',
+    './js/tax.js',
+    './js/catalog.js',
+    './js/pricing.js',
+    './js/detection.js',
+    './js/cart.js',
+    './js/export.js',
+    './js/orders.js',
+    './js/analytics.js',
+    './js/receipt.js',
+    './js/checkout.js',
+    './js/shifts.js',
+    './js/voids.js',
+    './js/samples.js',
+    './js/model-registry.js',
+    './js/trainer.js',
+    './js/product-grid.js',
+    './js/app.js'
+];
+
+const MODEL_FILES = [
+    './model/model.json',
+    './model/metadata.json',
+    './model/weights.bin'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll([...APP_SHELL, ...MODEL_FILES]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('pos-cache-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.includes('/model/')) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Fetch from the network (bypassing the HTTP cache) and update the cache,
+ * falling back to the cached copy when offline
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache and refresh it from the network in the background
+ * Page loads fall back to the cached index.html
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const page = await cache.match('./index.html');
+            if (page) {
+                return page;
+            }
+        }
+        throw error;
+    }
+}